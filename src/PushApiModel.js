@@ -9,6 +9,9 @@
  *
  */
 
+const EventEmitter = require('events');
+const {PROFILES} = require('./profiles');
+
 class SubscriptionExpiredError extends Error {
 	constructor(message) {
 		super(message);
@@ -17,23 +20,191 @@ class SubscriptionExpiredError extends Error {
 	}
 }
 
-class PushApiModel {
+class SubscriptionNotFoundError extends RangeError {
+	constructor() {
+		super();
+		this.name = 'SubscriptionNotFoundError';
+		this.message = 'Client not subscribed';
+	}
+}
+
+class MessageNotFoundError extends RangeError {
+	constructor() {
+		super();
+		this.name = 'MessageNotFoundError';
+		this.message = 'Message with specified ID does not exist';
+	}
+}
+
+class VapidError extends RangeError {
+	constructor(message) {
+		super(message);
+		this.name = 'VapidError';
+	}
+}
+
+class UnauthorizedError extends Error {
+	constructor() {
+		super();
+		this.name = 'UnauthorizedError';
+		this.message = 'Invalid server key';
+	}
+}
+
+class PayloadTooLargeError extends Error {
+	constructor(payloadSize, maxPayloadSize) {
+		super();
+		this.name = 'PayloadTooLargeError';
+		this.message = 'Payload size of ' + payloadSize + ' bytes exceeds maximum of ' + maxPayloadSize + ' bytes';
+	}
+}
+
+class WaitTimeoutError extends Error {
 	constructor() {
+		super();
+		this.name = 'WaitTimeoutError';
+		this.message = 'No matching notification received before timeout';
+	}
+}
+
+class InjectedFaultError extends Error {
+	constructor(status, retryAfter) {
+		super();
+		this.name = 'InjectedFaultError';
+		this.message = 'Injected fault with status ' + status;
+		this.status = status;
+		this.retryAfter = retryAfter;
+	}
+}
+
+class RateLimitError extends Error {
+	constructor(retryAfter) {
+		super();
+		this.name = 'RateLimitError';
+		this.message = 'Rate limit exceeded';
+		this.retryAfter = retryAfter;
+	}
+}
+
+const URGENCY_VALUES = ['very-low', 'low', 'normal', 'high'];
+const FAULT_STATUSES = [404, 413, 429, 500, 502, 503];
+const DEFAULT_RETRY_AFTER = 1;
+const RATE_LIMIT_KEYS = ['vapid', 'subscription'];
+const DEFAULT_RATE_LIMIT_WINDOW = 60;
+const LATENCY_ENDPOINTS = ['notify', 'subscribe'];
+const DEFAULT_MAX_PAYLOAD_SIZE = 4096;
+const MAX_VAPID_EXPIRATION = 24 * 60 * 60;
+const DEFAULT_WAIT_TIMEOUT = 30000;
+const NAMESPACE_REGEX = /^[\w-]{1,64}$/;
+
+class PushApiModel extends EventEmitter {
+	/**
+	 * @param {Object} options Model options
+	 * @param {number} [options.maxPayloadSize] Maximum size of push message body in bytes
+	 * @param {number} [options.subscriptionLifetime] Default lifetime of subscriptions in seconds
+	 * @param {number} [options.clockTolerance] Allowed clock skew for VAPID JWT validation in seconds
+	 * @param {string} [options.dataDir] Directory for persisting subscriptions & messages across restarts
+	 * @param {string} [options.webhookUrl] URL decrypted notifications of all subscriptions are forwarded to
+	 * @param {Object} [options.rateLimit] Rate limit of push endpoint, see setRateLimit()
+	 * @param {Object} [options.latency] Response latency of push endpoint, see setLatency()
+	 * @param {boolean} [options.latency.subscribe] Also apply latency to subscribe requests
+	 * @param {string} [options.profile] Default push service profile of subscriptions
+	 * @param {string[]} [options.serverKeys] Accepted legacy server keys, enables key= authorization of non-VAPID push messages
+	 */
+	constructor(options = {}) {
+		super();
+		// Each waiting client & event stream adds listeners
+		this.setMaxListeners(0);
+		this.maxPayloadSize = typeof options.maxPayloadSize === 'undefined' ? DEFAULT_MAX_PAYLOAD_SIZE : options.maxPayloadSize;
+		if (!Number.isInteger(this.maxPayloadSize) || this.maxPayloadSize <= 0) {
+			throw new RangeError('Maximum payload size is not a positive integer: ' + this.maxPayloadSize);
+		}
+
+		this.subscriptionLifetime = options.subscriptionLifetime;
+		if (typeof this.subscriptionLifetime !== 'undefined' && !this.isPositiveInteger(this.subscriptionLifetime)) {
+			throw new RangeError('Subscription lifetime is not a positive integer: ' + this.subscriptionLifetime);
+		}
+
+		this.clockTolerance = typeof options.clockTolerance === 'undefined' ? 0 : options.clockTolerance;
+		if (!Number.isInteger(this.clockTolerance) || this.clockTolerance < 0) {
+			throw new RangeError('Clock tolerance is not a non-negative integer: ' + this.clockTolerance);
+		}
+
+		this.profile = typeof options.profile === 'undefined' ? 'default' : options.profile;
+		if (!this.isValidProfile(this.profile)) {
+			throw new RangeError('Unknown profile: ' + this.profile);
+		}
+
+		this.options = options;
 		this.notifyUrl = '';
 		this.subscriptions = {};
 		this.messages = {};
+		this.supersededMessages = {};
+		this.pollingTimeout = 5000;
+		this.waitingClients = {};
+		this.storage = null;
+		this.resetRules();
+
+		if (typeof options.dataDir !== 'undefined') {
+			this.storage = require('node-persist').create({dir: options.dataDir});
+			this.storage.initSync();
+			this.loadState();
+		}
+	}
+
+	/**
+	 * Load subscriptions & messages from data directory
+	 * @returns {void}
+	 */
+	loadState() {
+		const crypto = require('crypto');
+		const subscriptions = this.storage.getItemSync('subscriptions') || {};
+
+		// eslint-disable-next-line guard-for-in
+		for (const clientHash in subscriptions) {
+			const {privateKey, ...subscriptionData} = subscriptions[clientHash];
+			subscriptionData.subscriptionDh = crypto.createECDH('prime256v1');
+			subscriptionData.subscriptionDh.setPrivateKey(privateKey, 'base64');
+			this.subscriptions[clientHash] = subscriptionData;
+		}
+
+		this.messages = this.storage.getItemSync('messages') || {};
+		this.supersededMessages = this.storage.getItemSync('supersededMessages') || {};
+	}
+
+	/**
+	 * Write subscriptions & messages to data directory if one is set
+	 * @returns {void}
+	 */
+	saveState() {
+		if (this.storage === null) {
+			return;
+		}
+
+		const subscriptions = {};
+		// eslint-disable-next-line guard-for-in
+		for (const clientHash in this.subscriptions) {
+			const {subscriptionDh, ...subscriptionData} = this.subscriptions[clientHash];
+			subscriptions[clientHash] = {...subscriptionData, privateKey: subscriptionDh.getPrivateKey('base64')};
+		}
+
+		this.storage.setItemSync('subscriptions', subscriptions);
+		this.storage.setItemSync('messages', this.messages);
+		this.storage.setItemSync('supersededMessages', this.supersededMessages);
 	}
 
-	async subscribe(options) {
-		return this.validateSubscribeOptions(options)
-			.then(() => this.createSubscription(options));
+	async subscribe(options, namespace) {
+		return this.simulateLatency('subscribe')
+			.then(() => this.validateSubscribeOptions(options))
+			.then(() => this.validateNamespace(namespace))
+			.then(() => this.createSubscription(options, namespace));
 	}
 
 	async validateSubscribeOptions(options) {
 		// eslint-disable-next-line guard-for-in
 		for (const parameter in options) {
 			const value = options[parameter];
-			if (parameter !== 'userVisibleOnly' && parameter !== 'applicationServerKey') {
+			if (!['userVisibleOnly', 'applicationServerKey', 'lifetime', 'profile'].includes(parameter)) {
 				throw new RangeError('Invalid property ' + parameter.toString() + ' sent.');
 			}
 
@@ -41,11 +212,117 @@ class PushApiModel {
 				throw new RangeError('Parameter userVisibleOnly is not of type boolean: ' + value);
 			}
 
+			if (parameter === 'lifetime' && !this.isPositiveInteger(value)) {
+				throw new RangeError('Parameter lifetime is not a positive integer: ' + value);
+			}
+
 			// eslint-disable-next-line no-await-in-loop
 			if (parameter === 'applicationServerKey' && (await this.isValidVapidKey(value)) === false) {
 				throw new Error('Parameter applicationServerKey does not seem to be a valid VAPID key.');
 			}
+
+			if (parameter === 'profile' && !this.isValidProfile(value)) {
+				throw new RangeError('Unknown profile: ' + value);
+			}
+		}
+
+		const profile = typeof options.profile === 'undefined' ? this.profile : options.profile;
+		if (PROFILES[profile].requireVapid && typeof options.applicationServerKey === 'undefined') {
+			throw new RangeError('Parameter applicationServerKey is required for profile ' + profile);
+		}
+	}
+
+	/**
+	 * Check whether value is a positive integer or a string of one
+	 * @param {*} value Value to check
+	 * @returns {boolean} True if value is a positive integer
+	 */
+	isPositiveInteger(value) {
+		return /^\d+$/.test(String(value)) && parseInt(value, 10) > 0;
+	}
+
+	/**
+	 * Validate namespace subscriptions are isolated in
+	 * @param {string} [namespace] Namespace
+	 * @returns {void}
+	 */
+	validateNamespace(namespace) {
+		if (typeof namespace !== 'undefined' && !NAMESPACE_REGEX.test(namespace)) {
+			throw new RangeError('Invalid namespace: ' + namespace);
+		}
+	}
+
+	/**
+	 * Check whether subscription is visible in namespace, all subscriptions are visible without namespace
+	 * @param {string} clientHash Unique client hash
+	 * @param {string} [namespace] Namespace
+	 * @returns {boolean} True if subscription exists and is visible
+	 */
+	isInNamespace(clientHash, namespace) {
+		if (!Object.prototype.hasOwnProperty.call(this.subscriptions, clientHash)) {
+			return false;
+		}
+
+		return typeof namespace === 'undefined' || this.subscriptions[clientHash].namespace === namespace;
+	}
+
+	/**
+	 * Ensure rules for all subscriptions are not set within a namespace as they would affect other namespaces
+	 * @param {string} [namespace] Namespace
+	 * @param {string} [message] Error message, defaults to clientHash being required
+	 * @returns {void}
+	 */
+	validateGlobalRule(namespace, message = 'Parameter clientHash is required within namespace') {
+		if (typeof namespace !== 'undefined') {
+			throw new RangeError(message);
+		}
+	}
+
+	/**
+	 * Check whether push service profile exists
+	 * @param {string} profile Profile name
+	 * @returns {boolean} True if profile exists
+	 */
+	isValidProfile(profile) {
+		return Object.prototype.hasOwnProperty.call(PROFILES, profile);
+	}
+
+	/**
+	 * Get push service profile of subscription, falls back to default profile
+	 * @param {string} clientHash Unique client hash
+	 * @returns {Object} Push service profile
+	 */
+	getProfile(clientHash) {
+		return PROFILES[this.getProfileName(clientHash)];
+	}
+
+	/**
+	 * Get name of push service profile of subscription, falls back to default profile
+	 * @param {string} clientHash Unique client hash
+	 * @returns {string} Profile name
+	 */
+	getProfileName(clientHash) {
+		const subscription = this.subscriptions[clientHash];
+		if (typeof subscription === 'undefined' || typeof subscription.profile === 'undefined') {
+			return this.profile;
+		}
+
+		return subscription.profile;
+	}
+
+	/**
+	 * Get endpoint URL of subscription according to its push service profile
+	 * @param {string} clientHash Unique client hash
+	 * @returns {string} Endpoint URL
+	 */
+	getEndpoint(clientHash) {
+		if (this.notifyUrl === '') {
+			return clientHash;
 		}
+
+		const {namespace} = this.subscriptions[clientHash];
+		const namespacePrefix = typeof namespace === 'string' ? '/ns/' + namespace : '';
+		return new URL(namespacePrefix + this.getProfile(clientHash).notifyPath, this.notifyUrl).href + clientHash;
 	}
 
 	bytesArrayToKeyString(bytesArray) {
@@ -131,10 +408,11 @@ class PushApiModel {
 			.then(cryptoKey => typeof cryptoKey !== 'undefined' && cryptoKey.type === 'public');
 	}
 
-	async createSubscription(options) {
+	async createSubscription(options, namespace) {
 		const {randomBytes} = require('crypto');
 		const uniqueClientHash = randomBytes(32).toString('hex');
 		const uniqueAuthKey = this.base64UrlEncode(randomBytes(16));
+		const lifetime = typeof options.lifetime === 'undefined' ? this.subscriptionLifetime : options.lifetime;
 		return this.generateSubscriptionEcdh()
 			.then(subscriptionDh => {
 				const subscriptionData = {
@@ -143,30 +421,104 @@ class PushApiModel {
 					subscriptionDh,
 					auth: uniqueAuthKey,
 					isExpired: false,
+					expirationTime: typeof lifetime === 'undefined' ? null : Date.now() + (parseInt(lifetime, 10) * 1000),
+					profile: typeof options.profile === 'undefined' ? this.profile : options.profile,
+					created: Date.now(),
+					namespace: typeof namespace === 'string' ? namespace : null,
 				};
 				this.subscriptions[uniqueClientHash] = subscriptionData;
-				return {
-					endpoint: this.notifyUrl + uniqueClientHash,
-					keys: {
-						p256dh: this.encodeBase64UrlString(subscriptionData.publicKey),
-						auth: this.encodeBase64UrlString(subscriptionData.auth),
-					},
-					clientHash: uniqueClientHash,
-				};
+				this.saveState();
+
+				const subscriptionJson = this.getSubscriptionJson(uniqueClientHash);
+				this.emit('subscription', subscriptionJson);
+				return subscriptionJson;
 			});
 	}
 
+	/**
+	 * Get PushSubscriptionJSON of subscription with specified client hash
+	 * @param {string} clientHash Unique client hash
+	 * @returns {Object} PushSubscriptionJSON with added clientHash
+	 */
+	getSubscriptionJson(clientHash) {
+		const subscriptionData = this.subscriptions[clientHash];
+		return {
+			endpoint: this.getEndpoint(clientHash),
+			expirationTime: subscriptionData.expirationTime,
+			keys: {
+				p256dh: this.encodeBase64UrlString(subscriptionData.publicKey),
+				auth: this.encodeBase64UrlString(subscriptionData.auth),
+			},
+			clientHash,
+		};
+	}
+
+	/**
+	 * Replace subscription with specified client hash by a new subscription with fresh keys,
+	 * similar to a browser firing the pushsubscriptionchange event
+	 * @param {string} clientHash Unique client hash
+	 * @param {string} [namespace] Namespace of subscription
+	 * @returns {Promise<{oldSubscription: Object, newSubscription: Object}>} Old and new PushSubscriptionJSON
+	 */
+	async rotateSubscription(clientHash, namespace) {
+		if (!this.isInNamespace(clientHash, namespace)) {
+			throw new RangeError('Subscription with specified client hash does not exist');
+		}
+
+		const oldSubscription = this.getSubscriptionJson(clientHash);
+		const newSubscription = await this.createSubscription({
+			applicationServerKey: this.subscriptions[clientHash].applicationServerKey,
+			profile: this.subscriptions[clientHash].profile,
+		}, this.subscriptions[clientHash].namespace);
+		this.expireSubscription(clientHash);
+
+		return {oldSubscription, newSubscription};
+	}
+
 	/**
 	 * Expire subscription with specified client hash
 	 * @param {string} clientHash Unique client hash
+	 * @param {string} [namespace] Namespace of subscription
 	 * @returns {void}
 	 */
-	expireSubscription(clientHash) {
-		if (typeof this.subscriptions[clientHash] === 'undefined') {
+	expireSubscription(clientHash, namespace) {
+		if (!this.isInNamespace(clientHash, namespace)) {
+			throw new RangeError('Subscription with specified client hash does not exist');
+		}
+
+		this.subscriptions[clientHash].isExpired = true;
+		this.saveState();
+	}
+
+	/**
+	 * Remove subscription with specified client hash and its stored messages, rejects waiting clients
+	 * @param {string} clientHash Unique client hash
+	 * @param {string} [namespace] Namespace of subscription
+	 * @returns {void}
+	 */
+	unsubscribe(clientHash, namespace) {
+		if (!this.isInNamespace(clientHash, namespace)) {
 			throw new RangeError('Subscription with specified client hash does not exist');
-		} else {
-			this.subscriptions[clientHash].isExpired = true;
 		}
+
+		this.removeSubscription(clientHash);
+		this.saveState();
+	}
+
+	/**
+	 * Remove subscription with its messages & rules and reject its waiting clients, state is not saved
+	 * @param {string} clientHash Unique client hash
+	 * @returns {void}
+	 */
+	removeSubscription(clientHash) {
+		delete this.subscriptions[clientHash];
+		delete this.messages[clientHash];
+		delete this.supersededMessages[clientHash];
+		delete this.faults[clientHash];
+		delete this.latencies[clientHash];
+		delete this.rateLimitRequests['subscription:' + clientHash];
+		this.emit('unsubscribe', clientHash);
+		delete this.waitingClients[clientHash];
 	}
 
 	/**
@@ -176,7 +528,8 @@ class PushApiModel {
 	 */
 	isSubscriptionExpired(clientHash) {
 		if (typeof this.subscriptions[clientHash] !== 'undefined') {
-			return this.subscriptions[clientHash].isExpired;
+			const {isExpired, expirationTime} = this.subscriptions[clientHash];
+			return Boolean(isExpired) || (typeof expirationTime === 'number' && Date.now() >= expirationTime);
 		}
 
 		return false;
@@ -184,15 +537,71 @@ class PushApiModel {
 
 	async validateAuthorizationHeader(clientHash, jwt) {
 		const jsonwebtoken = require('jsonwebtoken');
+		let claims;
 		try {
 			const publicKeyPem = await this.importVapidKey(
 				this.decodeBase64UrlString(this.subscriptions[clientHash].applicationServerKey),
 			).then(applicationKey => this.exportPemKey(applicationKey));
-			jsonwebtoken.verify(jwt, publicKeyPem, {algorithms: ['ES256']}, null);
+			claims = jsonwebtoken.verify(jwt, publicKeyPem, {algorithms: ['ES256'], clockTolerance: this.clockTolerance}, null);
 		} catch (err) {
 			// Err
 			console.error(err);
-			throw new RangeError('Invalid authentication token supplied');
+			throw new VapidError('Invalid authentication token supplied');
+		}
+
+		this.validateVapidClaims(claims, this.getProfile(clientHash));
+
+		return claims;
+	}
+
+	/**
+	 * Validate claims of VAPID JWT according to RFC 8292 section 2
+	 * @param {Object} claims Decoded JWT claims
+	 * @param {Object} [profile] Push service profile of subscription
+	 * @returns {void}
+	 */
+	validateVapidClaims(claims, profile = PROFILES.default) {
+		if (this.notifyUrl !== '' && claims.aud !== new URL(this.notifyUrl).origin) {
+			throw new VapidError('Invalid VAPID audience claim: ' + claims.aud);
+		}
+
+		if (typeof claims.exp !== 'number') {
+			throw new VapidError('Missing VAPID expiration claim');
+		}
+
+		if (claims.exp > Math.floor(Date.now() / 1000) + MAX_VAPID_EXPIRATION + this.clockTolerance) {
+			throw new VapidError('VAPID expiration claim is more than 24 hours in the future: ' + claims.exp);
+		}
+
+		if (typeof claims.sub === 'undefined') {
+			if (profile.strictVapidSubject) {
+				throw new VapidError('Missing VAPID subject claim');
+			}
+		} else if (!this.isValidVapidSubject(claims.sub, profile.strictVapidSubject)) {
+			throw new VapidError('Invalid VAPID subject claim: ' + claims.sub);
+		}
+	}
+
+	/**
+	 * Check whether VAPID subject is a mailto or https URL
+	 * @param {string} subject VAPID subject claim
+	 * @param {boolean} isStrict Require a valid email address or a public https URL
+	 * @returns {boolean} True if subject is valid
+	 */
+	isValidVapidSubject(subject, isStrict) {
+		if (!isStrict) {
+			return /^(mailto|https):/.test(subject);
+		}
+
+		if (subject.startsWith('mailto:')) {
+			return /^mailto:[^\s@]+@[^\s@]+\.[^\s@]+$/.test(subject);
+		}
+
+		try {
+			const {protocol, hostname} = new URL(subject);
+			return protocol === 'https:' && hostname !== 'localhost';
+		} catch {
+			return false;
 		}
 	}
 
@@ -228,9 +637,24 @@ class PushApiModel {
 		return [cryptoKeyParameters.dh, cryptoKeyParameters.p256ecdsa];
 	}
 
+	/**
+	 * Get p256ecdsa field of Crypto-Key header sent without dh field by payload-less push messages
+	 * @param {string} headerString Crypto-Key header
+	 * @returns {string} Public application server key
+	 */
+	getCryptoKeyEcdsaField(headerString) {
+		const cryptoKeyParameters = typeof headerString === 'undefined' ? {} : this.getParametersFromHeaderFields(headerString.split(';'));
+
+		if (!Object.prototype.hasOwnProperty.call(cryptoKeyParameters, 'p256ecdsa')) {
+			throw new Error('Invalid Crypto-Key header sent');
+		}
+
+		return cryptoKeyParameters.p256ecdsa;
+	}
+
 	getVapidHeaderFields(headerString) {
 		if (headerString.substring(0, 'vapid'.length) !== 'vapid') {
-			throw new Error('Invalid Authorization header sent');
+			throw new VapidError('Invalid Authorization header sent');
 		}
 
 		headerString = headerString.substring('vapid'.length);
@@ -239,24 +663,45 @@ class PushApiModel {
 
 		if (!Object.prototype.hasOwnProperty.call(authenticationParameters, 't')
 			|| !Object.prototype.hasOwnProperty.call(authenticationParameters, 'k')) {
-			throw new Error('Invalid Authorization header sent');
+			throw new VapidError('Invalid Authorization header sent');
 		}
 
 		return [authenticationParameters.t, authenticationParameters.k];
 	}
 
-	validateNotificationHeaders(subscription, headers) {
-		if (!Object.prototype.hasOwnProperty.call(headers, 'encoding') || (headers.encoding !== 'aesgcm' && headers.encoding !== 'aes128gcm')) {
+	/**
+	 * Validate headers of push message
+	 * @param {Object} subscription Subscription data
+	 * @param {Object} headers Push message headers
+	 * @param {boolean} isPayloadless Whether push message is sent without payload and encoding
+	 * @returns {void}
+	 */
+	validateNotificationHeaders(subscription, headers, isPayloadless = false) {
+		if (!isPayloadless && (!Object.prototype.hasOwnProperty.call(headers, 'encoding')
+			|| (headers.encoding !== 'aesgcm' && headers.encoding !== 'aes128gcm'))) {
 			throw new Error('Unsupported encoding');
 		}
 
-		if (!Object.prototype.hasOwnProperty.call(headers, 'ttl') || isNaN(parseInt(headers.ttl, 10))) {
+		if (!Object.prototype.hasOwnProperty.call(headers, 'ttl') || isNaN(parseInt(headers.ttl, 10))
+			|| parseInt(headers.ttl, 10) < 0) {
 			throw new Error('TTL header is invalid: ' + headers.ttl);
 		}
 
+		if (typeof headers.urgency !== 'undefined' && !URGENCY_VALUES.includes(headers.urgency)) {
+			throw new Error('Urgency header is invalid: ' + headers.urgency);
+		}
+
+		if (typeof headers.topic !== 'undefined' && !/^[\w-]{1,32}$/.test(headers.topic)) {
+			throw new Error('Topic header is invalid: ' + headers.topic);
+		}
+
+		if (typeof headers.pushReceipt !== 'undefined' && !this.isHttpUrl(headers.pushReceipt)) {
+			throw new Error('Push-Receipt header is invalid: ' + headers.pushReceipt);
+		}
+
 		if (typeof subscription.applicationServerKey !== 'undefined'
 			&& (!Object.prototype.hasOwnProperty.call(headers, 'authorization') || headers.authorization === '')) {
-			throw new RangeError('Missing or invalid authorization header');
+			throw new VapidError('Missing or invalid authorization header');
 		}
 	}
 
@@ -265,87 +710,945 @@ class PushApiModel {
 		const notificationEcdsaBytes = this.base64UrlDecode(publicServerKey);
 		const serverKeyBytes = this.base64UrlDecode(savedPublicServerKey);
 		if (!crypto.timingSafeEqual(notificationEcdsaBytes, serverKeyBytes)) {
-			throw new Error('Invalid Crypto-Key header sent');
+			throw new VapidError('Invalid Crypto-Key header sent');
 		}
 	}
 
-	async handleNotification(clientHash, pushHeaders, body) {
-		if (!Object.prototype.hasOwnProperty.call(this.subscriptions, clientHash)) {
-			throw new RangeError('Client not subscribed');
+	/**
+	 * Handle push message sent to subscription, emits notificationRejected event on errors
+	 * @param {string} clientHash Unique client hash
+	 * @param {Object} pushHeaders Push message headers
+	 * @param {Buffer} body Push message body
+	 * @param {string} [namespace] Namespace of endpoint
+	 * @returns {Promise<Object>} Message data
+	 */
+	async handleNotification(clientHash, pushHeaders, body, namespace) {
+		await this.simulateLatency('notify', clientHash);
+
+		try {
+			return await this.processNotification(clientHash, pushHeaders, body, namespace);
+		} catch (err) {
+			this.emit('notificationRejected', clientHash, err);
+			throw err;
+		}
+	}
+
+	async processNotification(clientHash, pushHeaders, body, namespace) {
+		this.triggerFault(clientHash);
+
+		if (!this.isInNamespace(clientHash, namespace)) {
+			throw new SubscriptionNotFoundError();
 		}
 
 		if (this.isSubscriptionExpired(clientHash)) {
 			throw new SubscriptionExpiredError();
 		}
 
+		this.checkRateLimit(clientHash);
+
+		if (Buffer.isBuffer(body) && body.length > this.maxPayloadSize) {
+			throw new PayloadTooLargeError(body.length, this.maxPayloadSize);
+		}
+
 		const currentSubscription = this.subscriptions[clientHash];
 
-		const isVapid = typeof currentSubscription.applicationServerKey !== 'undefined';
+		const hasPayload = Buffer.isBuffer(body) && body.length > 0;
+		const isPayloadless = !hasPayload && typeof pushHeaders.encoding === 'undefined';
+
+		this.validateNotificationHeaders(currentSubscription, pushHeaders, isPayloadless);
+		this.validateServerKey(currentSubscription, pushHeaders.authorization);
+
+		const {eceParameters, vapidClaims} = await this.validateEncryptionHeaders(clientHash, pushHeaders, isPayloadless);
+
+		const decryptedText = isPayloadless ? Buffer.alloc(0) : this.decryptPayload(currentSubscription, eceParameters, body);
+		const ttl = parseInt(pushHeaders.ttl, 10);
+		const message = {
+			id: require('crypto').randomUUID(),
+			received: Date.now(),
+			encoding: pushHeaders.encoding,
+			ttl,
+			urgency: typeof pushHeaders.urgency === 'undefined' ? 'normal' : pushHeaders.urgency,
+			topic: pushHeaders.topic,
+			vapid: vapidClaims === null ? null : {sub: vapidClaims.sub, aud: vapidClaims.aud},
+			ciphertextLength: hasPayload ? body.length : 0,
+			payload: decryptedText.toString('utf-8'),
+			hasPayload: !isPayloadless,
+			receiptUrl: typeof pushHeaders.pushReceipt === 'undefined' ? null : pushHeaders.pushReceipt,
+			delivered: false,
+		};
+
+		// Messages with a TTL of 0 are only delivered if the client is currently polling
+		if (ttl !== 0 || this.isClientPolling(clientHash)) {
+			this.storeMessage(clientHash, message);
+			this.emit('notification', clientHash, message);
+			this.forwardNotification(clientHash, message);
+		}
+
+		return message;
+	}
+
+	/**
+	 * Add accepted legacy server key
+	 * @param {string} key Server key
+	 * @param {string} [namespace] Namespace of request, server keys apply to all namespaces
+	 * @returns {void}
+	 */
+	addServerKey(key, namespace) {
+		this.validateGlobalRule(namespace, 'Server keys can not be added within namespace');
+		if (typeof key !== 'string' || key === '') {
+			throw new RangeError('Server key must be a non-empty string');
+		}
+
+		if (!this.serverKeys.includes(key)) {
+			this.serverKeys.push(key);
+		}
+	}
+
+	/**
+	 * Validate legacy key= authorization of non-VAPID push messages if server keys have been added
+	 * @param {Object} subscription Subscription data
+	 * @param {string} [authorization] Authorization header
+	 * @returns {void}
+	 * @throws {UnauthorizedError}
+	 */
+	validateServerKey(subscription, authorization) {
+		if (this.serverKeys.length === 0 || typeof subscription.applicationServerKey !== 'undefined') {
+			return;
+		}
+
+		if (typeof authorization === 'undefined' || !authorization.startsWith('key=') || authorization === 'key=') {
+			throw new Error('Missing server key in Authorization header');
+		}
 
-		this.validateNotificationHeaders(currentSubscription, pushHeaders);
+		if (!this.serverKeys.includes(authorization.substring('key='.length))) {
+			throw new UnauthorizedError();
+		}
+	}
 
+	/**
+	 * Validate encryption & VAPID related headers of push message
+	 * @param {string} clientHash Unique client hash
+	 * @param {Object} pushHeaders Push message headers
+	 * @param {boolean} isPayloadless Whether push message is sent without payload and encoding
+	 * @returns {Promise<{eceParameters: Object, vapidClaims: (Object|null)}>} Decryption parameters and VAPID claims
+	 */
+	async validateEncryptionHeaders(clientHash, pushHeaders, isPayloadless) {
+		const subscription = this.subscriptions[clientHash];
 		const eceParameters = {
 			version: pushHeaders.encoding,
 		};
+		const isVapid = typeof subscription.applicationServerKey !== 'undefined';
+		let vapidClaims = null;
 
 		if (pushHeaders.encoding === 'aesgcm') {
 			if (isVapid) {
 				const [type, jwt] = pushHeaders.authorization.split(' ');
 				if (type !== 'WebPush' || typeof jwt === 'undefined') {
-					throw new Error('Invalid Authorization header sent');
+					throw new VapidError('Invalid Authorization header sent');
 				}
 
-				await this.validateAuthorizationHeader(clientHash, jwt);
+				vapidClaims = await this.validateAuthorizationHeader(clientHash, jwt);
 			}
 
 			const [notificationDh, notificationEcdsa] = this.getCryptoKeyHeaderFields(pushHeaders.cryptoKey, isVapid);
 
 			if (isVapid) {
-				this.validateCrypto(notificationEcdsa, currentSubscription.applicationServerKey);
+				this.validateCrypto(notificationEcdsa, subscription.applicationServerKey);
 			}
 
 			eceParameters.dh = notificationDh;
 			eceParameters.salt = pushHeaders.encryption.substr('salt='.length);
-		} else if (isVapid && pushHeaders.encoding === 'aes128gcm') {
+		} else if (isVapid && isPayloadless && pushHeaders.authorization.startsWith('WebPush ')) {
+			// Payload-less push messages may also use the Authorization & Crypto-Key headers of aesgcm
+			vapidClaims = await this.validateAuthorizationHeader(clientHash, pushHeaders.authorization.substring('WebPush '.length));
+
+			this.validateCrypto(this.getCryptoKeyEcdsaField(pushHeaders.cryptoKey), subscription.applicationServerKey);
+		} else if (isVapid && (pushHeaders.encoding === 'aes128gcm' || isPayloadless)) {
 			const [vapidToken, vapidKey] = this.getVapidHeaderFields(pushHeaders.authorization);
 
-			this.validateCrypto(vapidKey, currentSubscription.applicationServerKey);
+			this.validateCrypto(vapidKey, subscription.applicationServerKey);
 
-			await this.validateAuthorizationHeader(clientHash, vapidToken);
+			vapidClaims = await this.validateAuthorizationHeader(clientHash, vapidToken);
 		}
 
+		return {eceParameters, vapidClaims};
+	}
+
+	/**
+	 * Decrypt push message payload with subscription keys
+	 * @param {Object} subscription Subscription data
+	 * @param {Object} eceParameters Encrypted content-encoding parameters
+	 * @param {Buffer} body Encrypted push message body
+	 * @returns {Buffer} Decrypted payload
+	 */
+	decryptPayload(subscription, eceParameters, body) {
 		const crypto = require('crypto');
 		const newDh = crypto.createECDH('prime256v1');
-		newDh.setPrivateKey(currentSubscription.subscriptionDh.getPrivateKey());
+		newDh.setPrivateKey(subscription.subscriptionDh.getPrivateKey());
 
 		const ece = require('http_ece');
-		eceParameters.privateKey = newDh;
-		eceParameters.authSecret = this.base64UrlDecode(currentSubscription.auth);
-
-		const decryptedText = ece.decrypt(body, eceParameters);
-
-		if (Object.prototype.hasOwnProperty.call(this.messages, clientHash)) {
-			this.messages[clientHash].push(decryptedText.toString('utf-8'));
-		} else {
-			this.messages[clientHash] = [decryptedText.toString('utf-8')];
-		}
+		return ece.decrypt(body, {
+			...eceParameters,
+			privateKey: newDh,
+			authSecret: this.base64UrlDecode(subscription.auth),
+		});
 	}
 
-	getNotifications(requestBody) {
-		if (!Object.prototype.hasOwnProperty.call(requestBody, 'clientHash')
-			|| !Object.prototype.hasOwnProperty.call(this.subscriptions, requestBody.clientHash)) {
-			throw new RangeError('Client not subscribed');
+	/**
+	 * Check if string is an absolute HTTP(S) URL
+	 * @param {string} string String to check
+	 * @returns {boolean} True if string is an HTTP(S) URL, false if not
+	 */
+	isHttpUrl(string) {
+		try {
+			const {protocol} = new URL(string);
+			return protocol === 'http:' || protocol === 'https:';
+		} catch {
+			return false;
+		}
+	}
+
+	/**
+	 * POST JSON data to URL, errors are logged but not thrown
+	 * @param {string} url Target URL
+	 * @param {Object} data Data to send
+	 * @returns {Promise<void>}
+	 */
+	async postJson(url, data) {
+		try {
+			await fetch(url, {
+				method: 'POST',
+				body: JSON.stringify(data),
+				headers: {'Content-Type': 'application/json'},
+			});
+		} catch (err) {
+			console.error('Failed sending request to ' + url + ': ' + err.message);
+		}
+	}
+
+	/**
+	 * Send delivery receipt for message to its receipt URL, see RFC 8030 section 5.1
+	 * @param {string} clientHash Unique client hash
+	 * @param {Object} message Message data
+	 * @returns {Promise<void>}
+	 */
+	async sendReceipt(clientHash, message) {
+		return this.postJson(message.receiptUrl, {
+			id: message.id,
+			clientHash,
+			delivered: Date.now(),
+		});
+	}
+
+	/**
+	 * Reset webhooks, server keys, faults, rate limit & latency to options passed on startup
+	 * @returns {void}
+	 */
+	resetRules() {
+		const {options} = this;
+		this.webhookUrl = typeof options.webhookUrl === 'undefined' ? null : options.webhookUrl;
+		this.serverKeys = typeof options.serverKeys === 'undefined' ? [] : [...options.serverKeys];
+		this.faults = {};
+		this.globalFault = null;
+		this.rateLimit = null;
+		this.rateLimitRequests = {};
+		this.latency = {notify: null, subscribe: null};
+		this.latencies = {};
+
+		if (typeof options.rateLimit !== 'undefined') {
+			this.setRateLimit(options.rateLimit);
+		}
+
+		if (typeof options.latency !== 'undefined') {
+			const {delay, jitter} = options.latency;
+			this.setLatency({delay, jitter});
+			if (this.isOptionEnabled(options.latency.subscribe)) {
+				this.setLatency({delay, jitter, endpoint: 'subscribe'});
+			}
+		}
+	}
+
+	/**
+	 * Clear messages & rules set at runtime
+	 * Within a namespace only its subscriptions and their rules are cleared
+	 * @param {Object} [options] Reset options
+	 * @param {boolean} [options.keepSubscriptions] Keep subscriptions and only remove their messages & webhooks
+	 * @param {string} [options.namespace] Only reset subscriptions in namespace
+	 * @returns {void}
+	 */
+	reset(options = {}) {
+		if (typeof options.namespace !== 'undefined') {
+			this.resetNamespace(this.isOptionEnabled(options.keepSubscriptions), options.namespace);
+			return;
+		}
+
+		if (this.isOptionEnabled(options.keepSubscriptions)) {
+			// eslint-disable-next-line guard-for-in
+			for (const clientHash in this.subscriptions) {
+				delete this.subscriptions[clientHash].webhookUrl;
+			}
+		} else {
+			Object.keys(this.subscriptions).forEach(clientHash => this.removeSubscription(clientHash));
+		}
+
+		this.messages = {};
+		this.supersededMessages = {};
+		this.resetRules();
+		this.saveState();
+	}
+
+	/**
+	 * Clear messages & rules of subscriptions in namespace
+	 * @param {boolean} keepSubscriptions Keep subscriptions and only remove their messages & rules
+	 * @param {string} namespace Namespace
+	 * @returns {void}
+	 */
+	resetNamespace(keepSubscriptions, namespace) {
+		for (const clientHash of Object.keys(this.subscriptions)) {
+			if (!this.isInNamespace(clientHash, namespace)) {
+				continue;
+			}
+
+			if (!keepSubscriptions) {
+				this.removeSubscription(clientHash);
+				continue;
+			}
+
+			delete this.subscriptions[clientHash].webhookUrl;
+			delete this.messages[clientHash];
+			delete this.supersededMessages[clientHash];
+			delete this.faults[clientHash];
+			delete this.latencies[clientHash];
+		}
+
+		this.saveState();
+	}
+
+	/**
+	 * Get overview of subscriptions
+	 * @param {string} [namespace] Only list subscriptions in namespace
+	 * @returns {Object[]} Subscription summaries
+	 */
+	listSubscriptions(namespace) {
+		return Object.keys(this.subscriptions)
+			.filter(clientHash => this.isInNamespace(clientHash, namespace))
+			.map(clientHash => this.getSubscriptionSummary(clientHash));
+	}
+
+	/**
+	 * Get summary of subscription
+	 * @param {string} clientHash Unique client hash
+	 * @returns {Object} Subscription summary
+	 */
+	getSubscriptionSummary(clientHash) {
+		const subscription = this.subscriptions[clientHash];
+		return {
+			clientHash,
+			endpoint: this.getEndpoint(clientHash),
+			created: typeof subscription.created === 'undefined' ? null : subscription.created,
+			applicationServerKey: typeof subscription.applicationServerKey === 'undefined' ? null : subscription.applicationServerKey,
+			isExpired: this.isSubscriptionExpired(clientHash),
+			expirationTime: subscription.expirationTime,
+			profile: this.getProfileName(clientHash),
+			messageCount: typeof this.messages[clientHash] === 'undefined' ? 0 : this.messages[clientHash].length,
+			namespace: typeof subscription.namespace === 'string' ? subscription.namespace : null,
+		};
+	}
+
+	/**
+	 * Get details of subscription including keys and stored messages
+	 * @param {string} clientHash Unique client hash
+	 * @param {string} [namespace] Namespace of subscription
+	 * @returns {Object} Subscription details
+	 * @throws {SubscriptionNotFoundError}
+	 */
+	getSubscriptionDetails(clientHash, namespace) {
+		if (!this.isInNamespace(clientHash, namespace)) {
+			throw new SubscriptionNotFoundError();
+		}
+
+		const {keys} = this.getSubscriptionJson(clientHash);
+		const subscription = this.subscriptions[clientHash];
+		return {
+			...this.getSubscriptionSummary(clientHash),
+			keys,
+			lastPolled: typeof subscription.lastPolled === 'undefined' ? null : subscription.lastPolled,
+			webhookUrl: typeof subscription.webhookUrl === 'undefined' ? null : subscription.webhookUrl,
+			messages: (this.messages[clientHash] || []).map(message => ({...message})),
+			superseded: (this.supersededMessages[clientHash] || []).map(message => ({...message})),
+		};
+	}
+
+	/**
+	 * Set URL decrypted notifications are forwarded to
+	 * @param {(string|null)} url Webhook URL, null to remove webhook
+	 * @param {string} [clientHash] Unique client hash, webhook is used for all subscriptions if not set
+	 * @param {string} [namespace] Namespace of subscription
+	 * @returns {void}
+	 */
+	setWebhook(url, clientHash, namespace) {
+		if (url !== null && !this.isHttpUrl(url)) {
+			throw new RangeError('Invalid webhook URL: ' + url);
+		}
+
+		if (typeof clientHash === 'undefined') {
+			this.validateGlobalRule(namespace);
+			this.webhookUrl = url;
+			return;
+		}
+
+		if (!this.isInNamespace(clientHash, namespace)) {
+			throw new RangeError('Subscription with specified client hash does not exist');
+		}
+
+		this.subscriptions[clientHash].webhookUrl = url;
+		this.saveState();
+	}
+
+	/**
+	 * Inject fault into responses of push endpoint
+	 * @param {Object} options Fault options
+	 * @param {number} options.status HTTP status of injected responses
+	 * @param {string} [options.clientHash] Unique client hash, fault applies to all subscriptions if not set
+	 * @param {number} [options.count] Number of requests to fail, unlimited if probability is set
+	 * @param {number} [options.probability] Probability between 0 and 1 of a request failing
+	 * @param {number} [options.retryAfter] Retry-After header in seconds for status 429
+	 * @param {string} [namespace] Namespace of subscription
+	 * @returns {void}
+	 */
+	injectFault(options, namespace) {
+		const status = Number(options.status);
+		if (!FAULT_STATUSES.includes(status)) {
+			throw new RangeError('Invalid fault status: ' + options.status);
+		}
+
+		const isRandom = typeof options.probability !== 'undefined';
+		const probability = isRandom ? Number(options.probability) : 1;
+		if (!(probability > 0 && probability <= 1)) {
+			throw new RangeError('Fault probability must be greater than 0 and at most 1');
+		}
+
+		let count = isRandom ? Infinity : 1;
+		if (typeof options.count !== 'undefined') {
+			count = Number(options.count);
+			if (!Number.isInteger(count) || count < 1) {
+				throw new RangeError('Fault count must be a positive integer');
+			}
+		}
+
+		let retryAfter = null;
+		if (status === 429) {
+			retryAfter = typeof options.retryAfter === 'undefined' ? DEFAULT_RETRY_AFTER : Number(options.retryAfter);
+			if (!Number.isInteger(retryAfter) || retryAfter < 0) {
+				throw new RangeError('Retry-After must be a non-negative integer');
+			}
+		}
+
+		const fault = {status, count, probability, retryAfter};
+		if (typeof options.clientHash === 'undefined') {
+			this.validateGlobalRule(namespace);
+			this.globalFault = fault;
+			return;
+		}
+
+		if (!this.isInNamespace(options.clientHash, namespace)) {
+			throw new RangeError('Subscription with specified client hash does not exist');
+		}
+
+		this.faults[options.clientHash] = fault;
+	}
+
+	/**
+	 * Clear injected faults
+	 * @param {string} [clientHash] Unique client hash, all faults are cleared if not set
+	 * @param {string} [namespace] Namespace of subscription
+	 * @returns {void}
+	 */
+	clearFaults(clientHash, namespace) {
+		if (typeof clientHash === 'undefined') {
+			this.validateGlobalRule(namespace);
+			this.faults = {};
+			this.globalFault = null;
+			return;
+		}
+
+		if (!this.isInNamespace(clientHash, namespace)) {
+			throw new RangeError('Subscription with specified client hash does not exist');
+		}
+
+		delete this.faults[clientHash];
+	}
+
+	/**
+	 * Throw injected fault if one applies to the current request
+	 * Faults of a subscription take precedence over faults for all subscriptions
+	 * @param {string} clientHash Unique client hash
+	 * @returns {void}
+	 * @throws {InjectedFaultError}
+	 */
+	triggerFault(clientHash) {
+		const isClientFault = Object.prototype.hasOwnProperty.call(this.faults, clientHash);
+		const fault = isClientFault ? this.faults[clientHash] : this.globalFault;
+		if (fault === null || Math.random() >= fault.probability) {
+			return;
+		}
+
+		fault.count--;
+		if (fault.count === 0) {
+			if (isClientFault) {
+				delete this.faults[clientHash];
+			} else {
+				this.globalFault = null;
+			}
+		}
+
+		throw new InjectedFaultError(fault.status, fault.retryAfter);
+	}
+
+	/**
+	 * Set rate limit of push endpoint
+	 * @param {(Object|null)} options Rate limit options, null to disable rate limit
+	 * @param {number} options.burst Number of requests allowed within window
+	 * @param {number} [options.window] Length of sliding window in seconds, defaults to 60
+	 * @param {string} [options.key] Limit requests per VAPID public key or per subscription, defaults to vapid
+	 * @param {string} [namespace] Namespace of request, rate limit applies to all namespaces
+	 * @returns {void}
+	 */
+	setRateLimit(options, namespace) {
+		this.validateGlobalRule(namespace, 'Rate limit can not be set within namespace');
+		this.rateLimitRequests = {};
+		if (options === null) {
+			this.rateLimit = null;
+			return;
+		}
+
+		const burst = Number(options.burst);
+		if (!Number.isInteger(burst) || burst < 1) {
+			throw new RangeError('Rate limit burst must be a positive integer');
+		}
+
+		const window = typeof options.window === 'undefined' ? DEFAULT_RATE_LIMIT_WINDOW : Number(options.window);
+		if (!(window > 0)) {
+			throw new RangeError('Rate limit window must be a positive number');
+		}
+
+		const key = typeof options.key === 'undefined' ? 'vapid' : options.key;
+		if (!RATE_LIMIT_KEYS.includes(key)) {
+			throw new RangeError('Rate limit key must be one of: ' + RATE_LIMIT_KEYS.join(', '));
+		}
+
+		this.rateLimit = {burst, window, key};
+	}
+
+	/**
+	 * Record request and throw if rate limit has been exceeded
+	 * Subscriptions without application server key are limited per subscription
+	 * @param {string} clientHash Unique client hash
+	 * @returns {void}
+	 * @throws {RateLimitError}
+	 */
+	checkRateLimit(clientHash) {
+		if (this.rateLimit === null) {
+			return;
+		}
+
+		const {applicationServerKey} = this.subscriptions[clientHash];
+		const limitKey = this.rateLimit.key === 'vapid' && typeof applicationServerKey !== 'undefined'
+			? 'vapid:' + applicationServerKey : 'subscription:' + clientHash;
+		const now = Date.now();
+		const windowStart = now - (this.rateLimit.window * 1000);
+		const requests = (this.rateLimitRequests[limitKey] || []).filter(time => time > windowStart);
+		this.rateLimitRequests[limitKey] = requests;
+
+		if (requests.length >= this.rateLimit.burst) {
+			throw new RateLimitError(Math.ceil((requests[0] - windowStart) / 1000));
+		}
+
+		requests.push(now);
+	}
+
+	/**
+	 * Set response latency
+	 * @param {Object} options Latency options
+	 * @param {number} options.delay Fixed delay in milliseconds, no latency is simulated if delay & jitter are 0
+	 * @param {number} [options.jitter] Maximum random delay in milliseconds added to fixed delay, defaults to 0
+	 * @param {string} [options.endpoint] Endpoint to delay, either notify or subscribe, defaults to notify
+	 * @param {string} [options.clientHash] Unique client hash, latency applies to all subscriptions if not set
+	 * @param {string} [namespace] Namespace of subscription
+	 * @returns {void}
+	 */
+	setLatency(options, namespace) {
+		const delay = Number(options.delay);
+		const jitter = typeof options.jitter === 'undefined' ? 0 : Number(options.jitter);
+		if (!Number.isInteger(delay) || delay < 0 || !Number.isInteger(jitter) || jitter < 0) {
+			throw new RangeError('Latency delay & jitter must be non-negative integers');
+		}
+
+		const endpoint = typeof options.endpoint === 'undefined' ? 'notify' : options.endpoint;
+		if (!LATENCY_ENDPOINTS.includes(endpoint)) {
+			throw new RangeError('Latency endpoint must be one of: ' + LATENCY_ENDPOINTS.join(', '));
+		}
+
+		const latency = delay === 0 && jitter === 0 ? null : {delay, jitter};
+		if (typeof options.clientHash === 'undefined') {
+			this.validateGlobalRule(namespace);
+			this.latency[endpoint] = latency;
+			return;
+		}
+
+		if (endpoint !== 'notify') {
+			throw new RangeError('Latency per subscription is only supported for notify endpoint');
+		}
+
+		if (!this.isInNamespace(options.clientHash, namespace)) {
+			throw new RangeError('Subscription with specified client hash does not exist');
+		}
+
+		if (latency === null) {
+			delete this.latencies[options.clientHash];
+		} else {
+			this.latencies[options.clientHash] = latency;
+		}
+	}
+
+	/**
+	 * Wait for configured latency of endpoint
+	 * Latency of a subscription takes precedence over latency for all subscriptions
+	 * @param {string} endpoint Endpoint, either notify or subscribe
+	 * @param {string} [clientHash] Unique client hash
+	 * @returns {Promise<void>}
+	 */
+	async simulateLatency(endpoint, clientHash) {
+		const latency = Object.prototype.hasOwnProperty.call(this.latencies, clientHash)
+			? this.latencies[clientHash] : this.latency[endpoint];
+		if (latency === null) {
+			return;
+		}
+
+		const delay = latency.delay + Math.floor(Math.random() * (latency.jitter + 1));
+		return new Promise(resolve => {
+			setTimeout(resolve, delay);
+		});
+	}
+
+	/**
+	 * Forward decrypted notification to webhook of subscription or global webhook
+	 * @param {string} clientHash Unique client hash
+	 * @param {Object} message Message data
+	 * @returns {Promise<void>}
+	 */
+	async forwardNotification(clientHash, message) {
+		const {webhookUrl} = this.subscriptions[clientHash];
+		const url = typeof webhookUrl === 'string' ? webhookUrl : this.webhookUrl;
+		if (url === null) {
+			return;
+		}
+
+		return this.postJson(url, {clientHash, message});
+	}
+
+	/**
+	 * Store message for subscription with specified client hash
+	 * @param {string} clientHash Unique client hash
+	 * @param {Object} message Message data
+	 * @returns {void}
+	 */
+	storeMessage(clientHash, message) {
+		if (!Object.prototype.hasOwnProperty.call(this.messages, clientHash)) {
+			this.messages[clientHash] = [];
+		}
+
+		if (typeof message.topic !== 'undefined') {
+			this.supersedeMessages(clientHash, message.topic);
+		}
+
+		this.messages[clientHash].push(message);
+		this.saveState();
+	}
+
+	/**
+	 * Check if message is stored for subscription, messages with a TTL of 0 are dropped if client is not polling
+	 * @param {string} clientHash Unique client hash
+	 * @param {string} messageId Unique message ID
+	 * @returns {boolean} True if message is stored, false if not
+	 */
+	isMessageStored(clientHash, messageId) {
+		return Object.prototype.hasOwnProperty.call(this.messages, clientHash)
+			&& this.messages[clientHash].some(message => message.id === messageId);
+	}
+
+	/**
+	 * Replace undelivered messages with the same topic, see RFC 8030 section 5.4
+	 * @param {string} clientHash Unique client hash
+	 * @param {string} topic Message topic
+	 * @returns {void}
+	 */
+	supersedeMessages(clientHash, topic) {
+		const superseded = this.messages[clientHash].filter(message => message.topic === topic && !message.delivered);
+		if (superseded.length === 0) {
+			return;
+		}
+
+		this.messages[clientHash] = this.messages[clientHash].filter(message => !superseded.includes(message));
+		if (Object.prototype.hasOwnProperty.call(this.supersededMessages, clientHash)) {
+			this.supersededMessages[clientHash].push(...superseded);
+		} else {
+			this.supersededMessages[clientHash] = superseded;
+		}
+	}
+
+	/**
+	 * Find stored message by its ID
+	 * @param {string} messageId Unique message ID
+	 * @param {string} [namespace] Namespace of subscription
+	 * @returns {{clientHash: string, message: Object}} Client hash of subscription & message data
+	 */
+	findMessage(messageId, namespace) {
+		// eslint-disable-next-line guard-for-in
+		for (const clientHash in this.messages) {
+			const message = this.messages[clientHash].find(currentMessage => currentMessage.id === messageId);
+			if (typeof message !== 'undefined' && (typeof namespace === 'undefined' || this.isInNamespace(clientHash, namespace))) {
+				return {clientHash, message};
+			}
+		}
+
+		throw new MessageNotFoundError();
+	}
+
+	/**
+	 * Get metadata of message with specified ID
+	 * @param {string} messageId Unique message ID
+	 * @param {string} [namespace] Namespace of subscription
+	 * @returns {Object} Message data
+	 */
+	getMessage(messageId, namespace) {
+		const {message} = this.findMessage(messageId, namespace);
+		return {...message};
+	}
+
+	/**
+	 * Cancel undelivered message with specified ID
+	 * @param {string} messageId Unique message ID
+	 * @param {string} [namespace] Namespace of subscription
+	 * @returns {void}
+	 */
+	deleteMessage(messageId, namespace) {
+		const {clientHash, message} = this.findMessage(messageId, namespace);
+		if (message.delivered) {
+			throw new Error('Message has already been delivered');
+		}
+
+		this.messages[clientHash] = this.messages[clientHash].filter(currentMessage => currentMessage !== message);
+		this.saveState();
+	}
+
+	/**
+	 * Mark messages as delivered and send receipts for newly delivered messages
+	 * @param {string} clientHash Unique client hash
+	 * @param {Object[]} messages Messages that are delivered
+	 * @returns {void}
+	 */
+	deliverMessages(clientHash, messages) {
+		messages.forEach(message => {
+			if (!message.delivered && typeof message.receiptUrl === 'string') {
+				this.sendReceipt(clientHash, message);
+			}
+
+			message.delivered = true;
+		});
+	}
+
+	/**
+	 * Check if boolean request option is enabled, supports JSON & urlencoded request bodies
+	 * @param {(boolean|string|undefined)} value Option value
+	 * @returns {boolean} True if option is enabled, false if not
+	 */
+	isOptionEnabled(value) {
+		return value === true || value === 'true';
+	}
+
+	/**
+	 * Check if client with specified client hash recently polled for notifications
+	 * @param {string} clientHash Unique client hash
+	 * @returns {boolean} True if client polled within polling timeout, false if not
+	 */
+	isClientPolling(clientHash) {
+		if (this.waitingClients[clientHash] > 0) {
+			return true;
+		}
+
+		const {lastPolled} = this.subscriptions[clientHash];
+		return typeof lastPolled !== 'undefined' && Date.now() - lastPolled <= this.pollingTimeout;
+	}
+
+	/**
+	 * Check if undelivered message has exceeded its time-to-live, messages with a TTL of 0 expire after the polling timeout
+	 * @param {Object} message Message data
+	 * @returns {boolean} True if message is expired, false if not
+	 */
+	isMessageExpired(message) {
+		const lifetime = message.ttl === 0 ? this.pollingTimeout : message.ttl * 1000;
+		return !message.delivered && Date.now() > message.received + lifetime;
+	}
+
+	getNotifications(requestBody, namespace) {
+		if (!Object.prototype.hasOwnProperty.call(requestBody, 'clientHash')
+			|| !this.isInNamespace(requestBody.clientHash, namespace)) {
+			throw new RangeError('Client not subscribed');
 		}
 
 		const {clientHash} = requestBody;
+		if (Object.prototype.hasOwnProperty.call(this.messages, clientHash)) {
+			this.messages[clientHash] = this.messages[clientHash].filter(message => !this.isMessageExpired(message));
+		}
+
+		this.subscriptions[clientHash].lastPolled = Date.now();
+
+		const messages = Object.prototype.hasOwnProperty.call(this.messages, clientHash) ? this.messages[clientHash] : [];
+		const superseded = Object.prototype.hasOwnProperty.call(this.supersededMessages, clientHash)
+			? this.supersededMessages[clientHash]
+			: [];
+
+		this.deliverMessages(clientHash, messages);
+
+		// Consumed messages are removed from the queue so later calls only return new messages
+		if (this.isOptionEnabled(requestBody.consume)) {
+			delete this.messages[clientHash];
+			delete this.supersededMessages[clientHash];
+		}
+
+		this.saveState();
+
+		const isDetailed = this.isOptionEnabled(requestBody.detailed);
+		const formatMessage = message => isDetailed ? {...message} : message.payload;
 
 		return {
-			messages: Object.prototype.hasOwnProperty.call(this.messages, clientHash) ? this.messages[clientHash] : [],
+			messages: messages.map(formatMessage),
+			superseded: superseded.map(formatMessage),
 		};
 	}
+
+	/**
+	 * Wait for next notification of subscription matching the specified options
+	 * @param {Object} options Wait options
+	 * @param {string} options.clientHash Unique client hash
+	 * @param {number} [options.timeout] Timeout in milliseconds
+	 * @param {string} [options.contains] Substring the payload has to contain
+	 * @param {string} [options.jsonPath] Dot separated path into the JSON payload that has to exist
+	 * @param {*} [options.equals] Value the JSON path has to be equal to
+	 * @param {AbortSignal} [signal] Signal for aborting the wait, e.g. when the request is closed
+	 * @param {string} [namespace] Namespace of subscription
+	 * @returns {Promise<Object>} Message data
+	 */
+	async waitForNotification(options, signal, namespace) {
+		if (!Object.prototype.hasOwnProperty.call(options, 'clientHash')
+			|| !this.isInNamespace(options.clientHash, namespace)) {
+			throw new RangeError('Client not subscribed');
+		}
+
+		const timeout = typeof options.timeout === 'undefined' ? DEFAULT_WAIT_TIMEOUT : parseInt(options.timeout, 10);
+		if (isNaN(timeout) || timeout <= 0) {
+			throw new RangeError('Parameter timeout is not a positive integer: ' + options.timeout);
+		}
+
+		const {clientHash} = options;
+
+		return new Promise((resolve, reject) => {
+			const onNotification = (notificationClientHash, message) => {
+				if (notificationClientHash !== clientHash || !this.matchesMessage(message, options)) {
+					return;
+				}
+
+				cleanUp();
+				this.deliverMessages(clientHash, [message]);
+				this.saveState();
+				resolve({...message});
+			};
+
+			const timer = setTimeout(() => {
+				cleanUp();
+				reject(new WaitTimeoutError());
+			}, timeout);
+
+			const onAbort = () => {
+				cleanUp();
+				reject(new Error('Waiting for notification aborted'));
+			};
+
+			const onUnsubscribe = unsubscribedClientHash => {
+				if (unsubscribedClientHash !== clientHash) {
+					return;
+				}
+
+				cleanUp();
+				reject(new SubscriptionNotFoundError());
+			};
+
+			const cleanUp = () => {
+				clearTimeout(timer);
+				this.off('notification', onNotification);
+				this.off('unsubscribe', onUnsubscribe);
+				this.waitingClients[clientHash]--;
+				if (this.waitingClients[clientHash] <= 0) {
+					delete this.waitingClients[clientHash];
+				}
+
+				if (typeof signal !== 'undefined') {
+					signal.removeEventListener('abort', onAbort);
+				}
+			};
+
+			this.waitingClients[clientHash] = (this.waitingClients[clientHash] || 0) + 1;
+			this.on('notification', onNotification);
+			this.on('unsubscribe', onUnsubscribe);
+			if (typeof signal !== 'undefined') {
+				signal.addEventListener('abort', onAbort);
+			}
+		});
+	}
+
+	/**
+	 * Check if message payload matches the specified wait options
+	 * @param {Object} message Message data
+	 * @param {Object} options Wait options, see waitForNotification()
+	 * @returns {boolean} True if message matches, false if not
+	 */
+	matchesMessage(message, options) {
+		if (typeof options.contains !== 'undefined' && !message.payload.includes(options.contains)) {
+			return false;
+		}
+
+		if (typeof options.jsonPath === 'undefined') {
+			return true;
+		}
+
+		let value;
+		try {
+			value = options.jsonPath.split('.').reduce(
+				(currentValue, key) => currentValue !== null && typeof currentValue === 'object' ? currentValue[key] : undefined,
+				JSON.parse(message.payload),
+			);
+		} catch {
+			return false;
+		}
+
+		if (typeof options.equals === 'undefined') {
+			return typeof value !== 'undefined';
+		}
+
+		return JSON.stringify(value) === JSON.stringify(options.equals);
+	}
 }
 
 module.exports = {
 	PushApiModel,
 	SubscriptionExpiredError,
+	SubscriptionNotFoundError,
+	MessageNotFoundError,
+	VapidError,
+	UnauthorizedError,
+	PayloadTooLargeError,
+	WaitTimeoutError,
+	InjectedFaultError,
+	RateLimitError,
 };
@@ -14,8 +14,9 @@
 const TestingServer = require('../server.js');
 
 const serverPort = JSON.parse(process.argv[2]);
+const serverOptions = process.argv.length > 3 ? JSON.parse(process.argv[3]) : {};
 const {PushApiModel} = require('../PushApiModel.js');
-const apiModel = new PushApiModel();
+const apiModel = new PushApiModel(serverOptions);
 
 const server = new TestingServer(apiModel, serverPort);
 server.startServer();
@@ -12,6 +12,7 @@
 class WebPushTestingCli {
 	constructor() {
 		this.port = 8090;
+		this.serverOptions = {};
 		this.storage = require('node-persist');
 		this.storage.initSync();
 
@@ -28,6 +29,19 @@ class WebPushTestingCli {
 					'--version': Boolean,
 					'--help': Boolean,
 					'--port': Number,
+					'--max-payload-size': Number,
+					'--subscription-lifetime': Number,
+					'--clock-tolerance': Number,
+					'--data-dir': String,
+					'--webhook': String,
+					'--rate-limit': Number,
+					'--rate-limit-window': Number,
+					'--rate-limit-key': String,
+					'--latency': Number,
+					'--latency-jitter': Number,
+					'--latency-subscribe': Boolean,
+					'--profile': String,
+					'--server-key': [String],
 					'-v': '--version',
 					'-h': '--help',
 					'-p': '--port',
@@ -60,6 +74,51 @@ class WebPushTestingCli {
 			this.port = cliArgs['--port'];
 		}
 
+		if (Object.prototype.hasOwnProperty.call(cliArgs, '--max-payload-size')) {
+			this.serverOptions.maxPayloadSize = cliArgs['--max-payload-size'];
+		}
+
+		if (Object.prototype.hasOwnProperty.call(cliArgs, '--subscription-lifetime')) {
+			this.serverOptions.subscriptionLifetime = cliArgs['--subscription-lifetime'];
+		}
+
+		if (Object.prototype.hasOwnProperty.call(cliArgs, '--clock-tolerance')) {
+			this.serverOptions.clockTolerance = cliArgs['--clock-tolerance'];
+		}
+
+		if (Object.prototype.hasOwnProperty.call(cliArgs, '--data-dir')) {
+			const path = require('path');
+			this.serverOptions.dataDir = path.resolve(cliArgs['--data-dir']);
+		}
+
+		if (Object.prototype.hasOwnProperty.call(cliArgs, '--webhook')) {
+			this.serverOptions.webhookUrl = cliArgs['--webhook'];
+		}
+
+		if (Object.prototype.hasOwnProperty.call(cliArgs, '--rate-limit')) {
+			this.serverOptions.rateLimit = {
+				burst: cliArgs['--rate-limit'],
+				window: cliArgs['--rate-limit-window'],
+				key: cliArgs['--rate-limit-key'],
+			};
+		}
+
+		if (Object.prototype.hasOwnProperty.call(cliArgs, '--latency')) {
+			this.serverOptions.latency = {
+				delay: cliArgs['--latency'],
+				jitter: cliArgs['--latency-jitter'],
+				subscribe: cliArgs['--latency-subscribe'],
+			};
+		}
+
+		if (Object.prototype.hasOwnProperty.call(cliArgs, '--profile')) {
+			this.serverOptions.profile = cliArgs['--profile'];
+		}
+
+		if (Object.prototype.hasOwnProperty.call(cliArgs, '--server-key')) {
+			this.serverOptions.serverKeys = cliArgs['--server-key'];
+		}
+
 		if (Object.prototype.hasOwnProperty.call(cliArgs, '_') && cliArgs._.length > 0) {
 			return this.handleCommand(cliArgs);
 		}
@@ -81,6 +140,25 @@ class WebPushTestingCli {
 		console.log('Options:');
 		console.log('    -h --help                     Show the help screen');
 		console.log('    -p --port <Port Number>       Set port the service will run on');
+		console.log('       --max-payload-size <Bytes> Set maximum push payload size (default: 4096)');
+		console.log('       --subscription-lifetime <Seconds>');
+		console.log('                                  Set default lifetime of subscriptions (default: unlimited)');
+		console.log('       --clock-tolerance <Seconds>');
+		console.log('                                  Set allowed clock skew for VAPID tokens (default: 0)');
+		console.log('       --data-dir <Directory>     Persist subscriptions & messages in directory across restarts');
+		console.log('       --webhook <URL>            Forward decrypted notifications to URL');
+		console.log('       --rate-limit <Requests>    Limit push requests within rate limit window');
+		console.log('       --rate-limit-window <Seconds>');
+		console.log('                                  Set length of rate limit window (default: 60)');
+		console.log('       --rate-limit-key <vapid|subscription>');
+		console.log('                                  Limit per VAPID key or subscription (default: vapid)');
+		console.log('       --latency <Milliseconds>   Delay responses of push endpoint');
+		console.log('       --latency-jitter <Milliseconds>');
+		console.log('                                  Add random delay of up to specified length (default: 0)');
+		console.log('       --latency-subscribe        Also delay responses of subscribe endpoint');
+		console.log('       --profile <Profile>        Mimic push service: default, fcm, autopush, apple or edge');
+		console.log('       --server-key <Key>         Require legacy key= authorization for non-VAPID push messages,');
+		console.log('                                  may be passed multiple times');
 		console.log('       --version                  Output current version of web-push-testing');
 		console.log('');
 		process.exit(0);
@@ -140,7 +218,11 @@ class WebPushTestingCli {
 			detached: true,
 		};
 		const path = require('path');
-		const testingServer = spawn('node', [path.join(__dirname, 'bin/server.js'), this.port], childProcessOptions);
+		const testingServer = spawn(
+			'node',
+			[path.join(__dirname, 'bin/server.js'), this.port, JSON.stringify(this.serverOptions)],
+			childProcessOptions,
+		);
 
 		testingServer.stdout.on('data', data => {
 			console.log(data.toString());
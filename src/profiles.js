@@ -0,0 +1,156 @@
+/**
+ *
+ * This file is part of the web-push-testing package.
+ *
+ * @copyright (c) Marc Alexander <https://www.m-a-styles.de>
+ * Use of this source code is governed by an MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ */
+
+const {STATUS_CODES} = require('http');
+
+/**
+ * Response status per error type, error types are:
+ * expired, notFound, payloadTooLarge, rateLimited, vapid, unauthorized, invalid and fault (injected fault with own status)
+ */
+const DEFAULT_ERROR_STATUSES = {
+	expired: 410,
+	notFound: 404,
+	payloadTooLarge: 413,
+	rateLimited: 429,
+	vapid: 400,
+	unauthorized: 401,
+	invalid: 400,
+};
+
+const FCM_ERROR_CODES = {
+	400: 'INVALID_ARGUMENT',
+	401: 'UNAUTHENTICATED',
+	403: 'PERMISSION_DENIED',
+	404: 'NOT_FOUND',
+	410: 'UNREGISTERED',
+	413: 'INVALID_ARGUMENT',
+	429: 'RESOURCE_EXHAUSTED',
+	500: 'INTERNAL',
+	502: 'UNAVAILABLE',
+	503: 'UNAVAILABLE',
+};
+
+const AUTOPUSH_ERRNOS = {
+	400: 110,
+	401: 109,
+	404: 102,
+	410: 103,
+	413: 104,
+};
+
+const APPLE_REASONS = {
+	expired: 'Unregistered',
+	notFound: 'BadDeviceToken',
+	payloadTooLarge: 'PayloadTooLarge',
+	rateLimited: 'TooManyRequests',
+	vapid: 'BadJwtToken',
+	unauthorized: 'InvalidProviderToken',
+	invalid: 'BadRequest',
+};
+
+const APPLE_FAULT_REASONS = {
+	404: 'BadPath',
+	413: 'PayloadTooLarge',
+	429: 'TooManyRequests',
+	500: 'InternalServerError',
+	502: 'InternalServerError',
+	503: 'ServiceUnavailable',
+};
+
+/**
+ * Push service profiles mimicking endpoint paths, error responses & VAPID requirements of push services
+ * - notifyPath: Path of subscription endpoints, client hash is appended
+ * - requireVapid: Subscriptions require an application server key
+ * - strictVapidSubject: VAPID JWT requires a subject claim with an email address or a public https URL
+ * - errorStatuses: Response status per error type differing from default statuses
+ * - formatError: Returns headers & body of error response
+ */
+const PROFILES = {
+	default: {
+		notifyPath: '/notify/',
+		requireVapid: false,
+		strictVapidSubject: false,
+		errorStatuses: {},
+		formatError: (type, status, err) => ({
+			body: type === 'expired' ? {reason: 'Push subscription has unsubscribed or expired.'} : {error: {message: err.message}},
+		}),
+	},
+	fcm: {
+		notifyPath: '/fcm/send/',
+		requireVapid: false,
+		strictVapidSubject: false,
+		errorStatuses: {vapid: 403},
+		formatError: (type, status, err) => ({
+			body: {
+				error: {
+					code: status,
+					message: err.message,
+					status: FCM_ERROR_CODES[status],
+				},
+			},
+		}),
+	},
+	autopush: {
+		notifyPath: '/wpush/v2/',
+		requireVapid: false,
+		strictVapidSubject: false,
+		errorStatuses: {vapid: 401},
+		formatError: (type, status, err) => ({
+			body: {
+				code: status,
+				errno: Object.prototype.hasOwnProperty.call(AUTOPUSH_ERRNOS, status) ? AUTOPUSH_ERRNOS[status] : 999,
+				error: STATUS_CODES[status],
+				message: err.message,
+				more_info: 'http://autopush.readthedocs.io/en/latest/http.html#error-codes', // eslint-disable-line camelcase
+			},
+		}),
+	},
+	apple: {
+		notifyPath: '/apple/push/',
+		requireVapid: true,
+		strictVapidSubject: true,
+		errorStatuses: {notFound: 400, vapid: 403},
+		formatError: (type, status) => ({
+			body: {reason: type === 'fault' ? APPLE_FAULT_REASONS[status] : APPLE_REASONS[type]},
+		}),
+	},
+	edge: {
+		notifyPath: '/wns/w/',
+		requireVapid: false,
+		strictVapidSubject: false,
+		errorStatuses: {rateLimited: 406, vapid: 401},
+		formatError: (type, status, err) => ({
+			// Header values are limited to printable ASCII, messages may contain claims sent by the application server
+			headers: {'X-WNS-Error-Description': err.message.replace(/[^\x20-\x7E]/g, '?')},
+		}),
+	},
+};
+
+/**
+ * Get error response of profile
+ * @param {Object} profile Push service profile
+ * @param {string} type Error type
+ * @param {Error} err Error
+ * @returns {{status: number, headers: (Object|undefined), body: (Object|undefined)}} Error response
+ */
+function getErrorResponse(profile, type, err) {
+	let status = type === 'fault' ? err.status : DEFAULT_ERROR_STATUSES[type];
+	if (Object.prototype.hasOwnProperty.call(profile.errorStatuses, type)) {
+		status = profile.errorStatuses[type];
+	}
+
+	return {status, ...profile.formatError(type, status, err)};
+}
+
+module.exports = {
+	PROFILES,
+	getErrorResponse,
+};
@@ -8,10 +8,88 @@
  * https://opensource.org/licenses/MIT.
  *
  */
-const {SubscriptionExpiredError} = require('./PushApiModel');
+const {
+	SubscriptionExpiredError,
+	SubscriptionNotFoundError,
+	MessageNotFoundError,
+	VapidError,
+	UnauthorizedError,
+	PayloadTooLargeError,
+	WaitTimeoutError,
+	InjectedFaultError,
+	RateLimitError,
+} = require('./PushApiModel');
+const {PROFILES, getErrorResponse} = require('./profiles');
 
 let apiModel = {};
 
+// Push endpoint paths of all profiles
+const NOTIFY_PATHS = [...new Set(Object.values(PROFILES).map(profile => profile.notifyPath))];
+
+/**
+ * Get type of error returned by push endpoint, see profiles
+ * @param {Error} err Error
+ * @returns {string} Error type
+ */
+function getErrorType(err) {
+	if (err instanceof SubscriptionExpiredError) {
+		return 'expired';
+	}
+
+	if (err instanceof SubscriptionNotFoundError) {
+		return 'notFound';
+	}
+
+	if (err instanceof PayloadTooLargeError) {
+		return 'payloadTooLarge';
+	}
+
+	if (err instanceof RateLimitError) {
+		return 'rateLimited';
+	}
+
+	if (err instanceof InjectedFaultError) {
+		return 'fault';
+	}
+
+	if (err instanceof VapidError) {
+		return 'vapid';
+	}
+
+	if (err instanceof UnauthorizedError) {
+		return 'unauthorized';
+	}
+
+	return 'invalid';
+}
+
+/**
+ * Send error response of push endpoint in format of subscription's profile
+ * @param {Object} res Response
+ * @param {string} clientHash Unique client hash
+ * @param {Error} err Error
+ * @returns {void}
+ */
+function sendNotificationError(res, clientHash, err) {
+	try {
+		const {status, headers, body} = getErrorResponse(apiModel.getProfile(clientHash), getErrorType(err), err);
+		if (typeof err.retryAfter === 'number') {
+			res.set('Retry-After', String(err.retryAfter));
+		}
+
+		res.status(status).set(headers).send(body);
+	} catch (responseErr) {
+		// Fall back to plain error response instead of leaving the request unanswered
+		if (!res.headersSent) {
+			res.status(500).send({
+				error: {
+					message: responseErr.message,
+				},
+			});
+		}
+	}
+}
+
 class WebPushTestingServer {
 	constructor(pushApiModel, port) {
 		const express = require('express');
@@ -21,8 +99,6 @@ class WebPushTestingServer {
 		this._host = 'localhost';
 		apiModel.notifyUrl = 'http://' + this._host + ':' + this._port + '/notify/';
 		this._app = express();
-		this._app.use(express.urlencoded({extended: true}));
-		this._app.use(express.json());
 		// Workaround to allow content-encoding outside bodyParser defaults
 		this._app.use((req, res, next) => {
 			if (Object.prototype.hasOwnProperty.call(req.headers, 'content-encoding')
@@ -33,7 +109,22 @@ class WebPushTestingServer {
 
 			next();
 		});
-		this._app.use(express.raw());
+		// Namespace is passed as /ns/:namespace path prefix or X-Namespace header
+		this._app.use((req, res, next) => {
+			const namespaceMatch = /^\/ns\/([^/]+)(\/.*)$/.exec(req.url);
+			if (namespaceMatch === null) {
+				req.namespace = req.get('X-Namespace');
+			} else {
+				req.namespace = decodeURIComponent(namespaceMatch[1]);
+				req.url = namespaceMatch[2];
+			}
+
+			next();
+		});
+		// Push endpoints read raw body of any content type, payload size is validated by model
+		this._app.use(NOTIFY_PATHS, express.raw({type: () => true, limit: Math.max(102400, apiModel.maxPayloadSize)}));
+		this._app.use(express.urlencoded({extended: true}));
+		this._app.use(express.json());
 	}
 
 	startServer() {
@@ -57,14 +148,34 @@ class WebPushTestingServer {
 	setRequestHandlers() {
 		this._app.post('/status', this.getStatus);
 		this._app.post('/subscribe', this.subscribe);
-		this._app.post('/notify/:clientHash', this.handleNotification);
 		this._app.post('/expire-subscription/:clientHash', this.expireSubscription);
+		this._app.post('/unsubscribe/:clientHash', this.unsubscribe);
+		this._app.post('/rotate-subscription/:clientHash', this.rotateSubscription);
 		this._app.post('/get-notifications', this.getNotifications);
+		this._app.post('/wait-notification', this.waitForNotification);
+		this._app.get('/events', this.streamEvents);
+		this._app.post('/webhook', this.setWebhook);
+		this._app.post('/inject-fault', this.injectFault);
+		this._app.post('/clear-faults', this.clearFaults);
+		this._app.post('/rate-limit', this.setRateLimit);
+		this._app.post('/latency', this.setLatency);
+		this._app.post('/server-key', this.addServerKey);
+		this._app.get('/subscriptions', this.listSubscriptions);
+		this._app.get('/subscriptions/:clientHash', this.getSubscription);
+		this._app.post('/reset', this.reset);
+		this._app.get('/message/:messageId', this.getMessage);
+		this._app.delete('/message/:messageId', this.deleteMessage);
+
+		// Push endpoints of all profiles
+		for (const notifyPath of NOTIFY_PATHS) {
+			this._app.post(notifyPath + ':clientHash', this.handleNotification);
+			this._app.use(notifyPath + ':clientHash', this.handleNotificationBodyError);
+		}
 	}
 
 	getNotifications(req, res) {
 		try {
-			const notificationsData = apiModel.getNotifications(req.body);
+			const notificationsData = apiModel.getNotifications(req.body, req.namespace);
 			res.status(200).send({data: notificationsData});
 		} catch (err) {
 			res.status(400).send({
@@ -75,13 +186,209 @@ class WebPushTestingServer {
 		}
 	}
 
+	waitForNotification(req, res) {
+		const abortController = new AbortController();
+		res.on('close', () => {
+			abortController.abort();
+		});
+
+		apiModel.waitForNotification(req.body, abortController.signal, req.namespace)
+			.then(message => {
+				res.status(200).send({data: message});
+			})
+			.catch(err => {
+				if (abortController.signal.aborted) {
+					return;
+				}
+
+				res.status(err instanceof WaitTimeoutError ? 408 : 400).send({
+					error: {
+						message: err.message,
+					},
+				});
+			});
+	}
+
+	streamEvents(req, res) {
+		const {clientHash} = req.query;
+		const {namespace} = req;
+		const isWatched = eventClientHash => (typeof clientHash === 'undefined' || eventClientHash === clientHash)
+			&& (typeof namespace === 'undefined' || apiModel.isInNamespace(eventClientHash, namespace));
+		const sendEvent = (event, data) => {
+			res.write('event: ' + event + '\ndata: ' + JSON.stringify(data) + '\n\n');
+		};
+
+		const onSubscription = subscription => {
+			if (isWatched(subscription.clientHash)) {
+				sendEvent('subscription', subscription);
+			}
+		};
+
+		const onNotification = (notificationClientHash, message) => {
+			if (isWatched(notificationClientHash)) {
+				sendEvent('notification', {clientHash: notificationClientHash, message});
+			}
+		};
+
+		const onNotificationRejected = (notificationClientHash, err) => {
+			if (isWatched(notificationClientHash)) {
+				sendEvent('rejection', {clientHash: notificationClientHash, reason: err.message});
+			}
+		};
+
+		res.writeHead(200, {
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache',
+			Connection: 'keep-alive',
+		});
+		res.write(': connected\n\n');
+
+		apiModel.on('subscription', onSubscription);
+		apiModel.on('notification', onNotification);
+		apiModel.on('notificationRejected', onNotificationRejected);
+
+		res.on('close', () => {
+			apiModel.off('subscription', onSubscription);
+			apiModel.off('notification', onNotification);
+			apiModel.off('notificationRejected', onNotificationRejected);
+		});
+	}
+
+	setWebhook(req, res) {
+		const {url, clientHash} = req.body;
+
+		try {
+			apiModel.setWebhook(typeof url === 'undefined' || url === '' ? null : url, clientHash, req.namespace);
+			res.sendStatus(200);
+		} catch (err) {
+			res.status(400).send({
+				error: {
+					message: err.message,
+				},
+			});
+		}
+	}
+
+	injectFault(req, res) {
+		try {
+			apiModel.injectFault(req.body, req.namespace);
+			res.sendStatus(200);
+		} catch (err) {
+			res.status(400).send({
+				error: {
+					message: err.message,
+				},
+			});
+		}
+	}
+
+	clearFaults(req, res) {
+		try {
+			apiModel.clearFaults(req.body.clientHash, req.namespace);
+			res.sendStatus(200);
+		} catch (err) {
+			res.status(400).send({
+				error: {
+					message: err.message,
+				},
+			});
+		}
+	}
+
+	setRateLimit(req, res) {
+		try {
+			apiModel.setRateLimit(typeof req.body.burst === 'undefined' ? null : req.body, req.namespace);
+			res.sendStatus(200);
+		} catch (err) {
+			res.status(400).send({
+				error: {
+					message: err.message,
+				},
+			});
+		}
+	}
+
+	setLatency(req, res) {
+		try {
+			apiModel.setLatency(req.body, req.namespace);
+			res.sendStatus(200);
+		} catch (err) {
+			res.status(400).send({
+				error: {
+					message: err.message,
+				},
+			});
+		}
+	}
+
+	addServerKey(req, res) {
+		try {
+			apiModel.addServerKey(req.body.key, req.namespace);
+			res.sendStatus(200);
+		} catch (err) {
+			res.status(400).send({
+				error: {
+					message: err.message,
+				},
+			});
+		}
+	}
+
+	listSubscriptions(req, res) {
+		res.status(200).send({data: apiModel.listSubscriptions(req.namespace)});
+	}
+
+	getSubscription(req, res) {
+		try {
+			const subscription = apiModel.getSubscriptionDetails(req.params.clientHash, req.namespace);
+			res.status(200).send({data: subscription});
+		} catch (err) {
+			res.status(err instanceof SubscriptionNotFoundError ? 404 : 400).send({
+				error: {
+					message: err.message,
+				},
+			});
+		}
+	}
+
+	reset(req, res) {
+		apiModel.reset({keepSubscriptions: req.body.keepSubscriptions, namespace: req.namespace});
+		res.sendStatus(200);
+	}
+
+	getMessage(req, res) {
+		try {
+			const message = apiModel.getMessage(req.params.messageId, req.namespace);
+			res.status(200).send({data: message});
+		} catch (err) {
+			res.status(err instanceof MessageNotFoundError ? 404 : 400).send({
+				error: {
+					message: err.message,
+				},
+			});
+		}
+	}
+
+	deleteMessage(req, res) {
+		try {
+			apiModel.deleteMessage(req.params.messageId, req.namespace);
+			res.sendStatus(204);
+		} catch (err) {
+			res.status(err instanceof MessageNotFoundError ? 404 : 400).send({
+				error: {
+					message: err.message,
+				},
+			});
+		}
+	}
+
 	getStatus(req, res) {
 		res.sendStatus(200);
 	}
 
 	subscribe(req, res) {
 		const subscriptionOptions = req.body;
-		apiModel.subscribe(subscriptionOptions)
+		apiModel.subscribe(subscriptionOptions, req.namespace)
 			.then(subscriptionData => {
 				res.status(200).send({data: subscriptionData});
 			})
@@ -102,34 +409,49 @@ class WebPushTestingServer {
 			cryptoKey: req.get('Crypto-Key'),
 			authorization: req.get('Authorization'),
 			ttl: req.get('TTL'),
+			urgency: req.get('Urgency'),
+			topic: req.get('Topic'),
+			pushReceipt: req.get('Push-Receipt'),
 		};
+		const prefer = req.get('Prefer');
+		const isRespondAsync = typeof prefer !== 'undefined' && prefer.split(',').some(preference => preference.trim() === 'respond-async');
 		return apiModel.handleNotification(
 			clientHash,
 			pushHeaders,
 			req.body,
-		).then(notificationReturn => {
-			res.status(201).send(notificationReturn);
+			req.namespace,
+		).then(message => {
+			// Dropped messages have no message resource
+			if (apiModel.isMessageStored(clientHash, message.id)) {
+				res.location('/message/' + message.id);
+			}
+
+			res.status(isRespondAsync ? 202 : 201).send();
 		})
 			.catch(err => {
-				if (err instanceof SubscriptionExpiredError) {
-					res.status(410).send({
-						reason: 'Push subscription has unsubscribed or expired.',
-					});
-				} else {
-					res.status(400).send({
-						error: {
-							message: err.message,
-						},
-					});
-				}
+				sendNotificationError(res, clientHash, err);
 			});
 	}
 
+	// Bodies exceeding the body parser limit never reach the model
+	handleNotificationBodyError(err, req, res, next) {
+		if (err.type !== 'entity.too.large') {
+			next(err);
+			return;
+		}
+
+		const {clientHash} = req.params;
+		const payloadError = new PayloadTooLargeError(typeof err.length === 'number' ? err.length : err.received, apiModel.maxPayloadSize);
+		apiModel.emit('notificationRejected', clientHash, payloadError);
+		sendNotificationError(res, clientHash, payloadError);
+	}
+
 	expireSubscription(req, res) {
 		const {clientHash} = req.params;
 
 		try {
-			apiModel.expireSubscription(clientHash);
+			apiModel.expireSubscription(clientHash, req.namespace);
+			res.sendStatus(200);
 		} catch (err) {
 			res.status(400).send({
 				error: {
@@ -137,8 +459,36 @@ class WebPushTestingServer {
 				},
 			});
 		}
+	}
 
-		res.sendStatus(200);
+	rotateSubscription(req, res) {
+		const {clientHash} = req.params;
+		apiModel.rotateSubscription(clientHash, req.namespace)
+			.then(subscriptionChangeData => {
+				res.status(200).send({data: subscriptionChangeData});
+			})
+			.catch(err => {
+				res.status(400).send({
+					error: {
+						message: err.message,
+					},
+				});
+			});
+	}
+
+	unsubscribe(req, res) {
+		const {clientHash} = req.params;
+
+		try {
+			apiModel.unsubscribe(clientHash, req.namespace);
+			res.sendStatus(200);
+		} catch (err) {
+			res.status(400).send({
+				error: {
+					message: err.message,
+				},
+			});
+		}
 	}
 }
 
@@ -9,7 +9,17 @@
  *
  */
 
-const {PushApiModel, SubscriptionExpiredError} = require('../src/PushApiModel');
+const {
+	PushApiModel,
+	SubscriptionExpiredError,
+	SubscriptionNotFoundError,
+	MessageNotFoundError,
+	PayloadTooLargeError,
+	WaitTimeoutError,
+	InjectedFaultError,
+	RateLimitError,
+	UnauthorizedError,
+} = require('../src/PushApiModel');
 require('chai').should();
 const {assert} = require('chai');
 const webPush = require('web-push');
@@ -47,11 +57,11 @@ describe('Push API Model tests', () => {
 				const model = new PushApiModel();
 				model.subscriptions.testHash = {some: 'data'};
 				if (messages.length) {
-					model.messages.testHash = messages;
+					model.messages.testHash = messages.map(payload => ({payload, urgency: 'normal'}));
 				}
 
 				const data = model.getNotifications({clientHash: 'testHash'});
-				Object.keys(data).length.should.equal(1);
+				assert.hasAllKeys(data, ['messages', 'superseded']);
 				data.messages.length.should.equal(messages.length);
 				for (let i = 0; i < data.messages.length; i++) {
 					data.messages[i].should.equal(messages[i]);
@@ -60,6 +70,353 @@ describe('Push API Model tests', () => {
 		});
 	});
 
+	describe('Get detailed messages', () => {
+		it('Returns message records if detailed flag is set', () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {some: 'data'};
+			const message = {
+				id: 'testId',
+				received: Date.now(),
+				encoding: 'aes128gcm',
+				ttl: 60,
+				urgency: 'low',
+				topic: 'news',
+				vapid: {sub: 'mailto:test@example.com', aud: 'http://localhost:8090'},
+				ciphertextLength: 103,
+				payload: 'testMessage1',
+				delivered: false,
+			};
+			model.storeMessage('testHash', message);
+
+			const data = model.getNotifications({clientHash: 'testHash', detailed: true});
+			data.messages.length.should.equal(1);
+			assert.deepEqual(data.messages[0], {...message, delivered: true});
+			assert.deepEqual(model.getNotifications({clientHash: 'testHash'}).messages, ['testMessage1']);
+		});
+	});
+
+	describe('Consume messages', () => {
+		it('Removes returned messages from queue', () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {some: 'data'};
+			model.storeMessage('testHash', {id: '1', payload: 'first', topic: 'news', delivered: false});
+			model.storeMessage('testHash', {id: '2', payload: 'second', topic: 'news', delivered: false});
+
+			assert.deepEqual(model.getNotifications({clientHash: 'testHash', consume: true}), {
+				messages: ['second'],
+				superseded: ['first'],
+			});
+			assert.deepEqual(model.getNotifications({clientHash: 'testHash', consume: 'true'}), {
+				messages: [],
+				superseded: [],
+			});
+
+			model.storeMessage('testHash', {id: '3', payload: 'third', topic: 'news', delivered: false});
+			assert.deepEqual(model.getNotifications({clientHash: 'testHash'}).messages, ['third']);
+			assert.deepEqual(model.getNotifications({clientHash: 'testHash', consume: true}).messages, ['third']);
+			assert.throws(() => model.getMessage('3'), MessageNotFoundError);
+		});
+
+		it('Keeps messages without consume option', () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {some: 'data'};
+			model.storeMessage('testHash', {id: '1', payload: 'first', delivered: false});
+
+			model.getNotifications({clientHash: 'testHash', consume: false});
+			assert.deepEqual(model.getNotifications({clientHash: 'testHash'}).messages, ['first']);
+		});
+	});
+
+	describe('Wait for notification', () => {
+		it('Resolves with next notification and marks it delivered', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {};
+			await model.handleNotification('testHash', {ttl: 60}, Buffer.alloc(0));
+
+			const waitPromise = model.waitForNotification({clientHash: 'testHash', timeout: 1000});
+			const message = await model.handleNotification('testHash', {ttl: 60, topic: 'next'}, Buffer.alloc(0));
+			const receivedMessage = await waitPromise;
+
+			receivedMessage.id.should.equal(message.id);
+			receivedMessage.delivered.should.equal(true);
+			model.messages.testHash[0].delivered.should.equal(false);
+			assert.doesNotHaveAnyKeys(model.waitingClients, ['testHash']);
+		});
+
+		it('Delivers notification with TTL of 0 while waiting', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {};
+
+			const waitPromise = model.waitForNotification({clientHash: 'testHash', timeout: 1000});
+			const message = await model.handleNotification('testHash', {ttl: 0}, Buffer.alloc(0));
+
+			(await waitPromise).id.should.equal(message.id);
+			model.messages.testHash.length.should.equal(1);
+		});
+
+		it('Supports many concurrent waiting clients without listener warning', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {};
+			const warnings = [];
+			const onWarning = warning => warnings.push(warning);
+			process.on('warning', onWarning);
+
+			const waitPromises = Array.from({length: 20}, () => model.waitForNotification({clientHash: 'testHash', timeout: 1000}));
+			const message = await model.handleNotification('testHash', {ttl: 60}, Buffer.alloc(0));
+			const receivedMessages = await Promise.all(waitPromises);
+			await new Promise(resolve => {
+				setImmediate(resolve);
+			});
+			process.off('warning', onWarning);
+
+			receivedMessages.forEach(receivedMessage => receivedMessage.id.should.equal(message.id));
+			warnings.length.should.equal(0);
+			assert.doesNotHaveAnyKeys(model.waitingClients, ['testHash']);
+			model.listenerCount('notification').should.equal(0);
+		});
+
+		const input = [
+			{
+				description: 'payload substring',
+				options: {contains: 'alert'},
+				expectedPayload: '{"type":"security alert","data":{"level":2}}',
+			},
+			{
+				description: 'existing JSON path',
+				options: {jsonPath: 'data.level'},
+				expectedPayload: '{"type":"news","data":{"level":1}}',
+			},
+			{
+				description: 'JSON path value',
+				options: {jsonPath: 'data.level', equals: 3},
+				expectedPayload: '{"type":"digest","data":{"level":3}}',
+			},
+		];
+
+		input.forEach(({description, options, expectedPayload}) => {
+			it('Matches notification by ' + description, async () => {
+				const model = new PushApiModel();
+				model.subscriptions.testHash = {};
+				model.subscriptions.otherHash = {};
+
+				const waitPromise = model.waitForNotification({clientHash: 'testHash', timeout: 1000, ...options});
+				model.emit('notification', 'otherHash', {payload: '{"type":"security alert","data":{"level":3}}'});
+				model.emit('notification', 'testHash', {payload: 'no json'});
+				model.emit('notification', 'testHash', {payload: '{"type":"news","data":{"level":1}}'});
+				model.emit('notification', 'testHash', {payload: '{"type":"security alert","data":{"level":2}}'});
+				model.emit('notification', 'testHash', {payload: '{"type":"digest","data":{"level":3}}'});
+
+				(await waitPromise).payload.should.equal(expectedPayload);
+			});
+		});
+
+		it('Rejects once timeout is reached', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {};
+
+			try {
+				await model.waitForNotification({clientHash: 'testHash', timeout: 20});
+				assert.fail('Did not throw WaitTimeoutError even though no notification was sent');
+			} catch (err) {
+				assert.instanceOf(err, WaitTimeoutError);
+				assert.equal(err.message, 'No matching notification received before timeout');
+			}
+
+			assert.doesNotHaveAnyKeys(model.waitingClients, ['testHash']);
+			model.listenerCount('notification').should.equal(0);
+		});
+
+		it('Rejects once aborted', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {};
+			const abortController = new AbortController();
+
+			const waitPromise = model.waitForNotification({clientHash: 'testHash'}, abortController.signal);
+			abortController.abort();
+
+			try {
+				await waitPromise;
+				assert.fail('Did not throw error even though waiting was aborted');
+			} catch (err) {
+				assert.equal(err.message, 'Waiting for notification aborted');
+			}
+
+			assert.doesNotHaveAnyKeys(model.waitingClients, ['testHash']);
+			model.listenerCount('notification').should.equal(0);
+		});
+
+		const invalidInput = [
+			{description: 'missing client hash', options: {}, match: 'Client not subscribed'},
+			{description: 'invalid client hash', options: {clientHash: 'foo'}, match: 'Client not subscribed'},
+			{description: 'invalid timeout', options: {clientHash: 'testHash', timeout: 'never'}, match: 'Parameter timeout is not a positive integer: never'},
+		];
+
+		invalidInput.forEach(({description, options, match}) => {
+			it('Error when waiting with ' + description, async () => {
+				const model = new PushApiModel();
+				model.subscriptions.testHash = {};
+
+				try {
+					await model.waitForNotification(options);
+					assert.fail('Expected exception not thrown');
+				} catch (err) {
+					assert.instanceOf(err, RangeError);
+					assert.equal(err.message, match);
+				}
+			});
+		});
+	});
+
+	describe('Events', () => {
+		it('Emits subscription event', async () => {
+			const model = new PushApiModel();
+			const subscriptions = [];
+			model.on('subscription', subscription => subscriptions.push(subscription));
+
+			const subscription = await model.subscribe({});
+			assert.deepEqual(subscriptions, [subscription]);
+		});
+
+		it('Emits notification event', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {};
+			const notifications = [];
+			model.on('notification', (clientHash, message) => notifications.push({clientHash, message}));
+
+			const message = await model.handleNotification('testHash', {ttl: 60}, Buffer.alloc(0));
+			assert.deepEqual(notifications, [{clientHash: 'testHash', message}]);
+		});
+
+		it('Emits notificationRejected event', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {};
+			const rejections = [];
+			model.on('notificationRejected', (clientHash, err) => rejections.push({clientHash, err}));
+
+			try {
+				await model.handleNotification('testHash', {ttl: 'never'}, Buffer.alloc(0));
+				assert.fail('Expected exception not thrown');
+			} catch (err) {
+				rejections.length.should.equal(1);
+				rejections[0].clientHash.should.equal('testHash');
+				rejections[0].err.should.equal(err);
+				rejections[0].err.message.should.equal('TTL header is invalid: never');
+			}
+		});
+	});
+
+	describe('Message topics', () => {
+		it('Replaces undelivered message with same topic', () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {some: 'data'};
+			model.storeMessage('testHash', {payload: 'first', topic: 'news', delivered: false});
+			model.storeMessage('testHash', {payload: 'other', topic: 'sports', delivered: false});
+			model.storeMessage('testHash', {payload: 'second', topic: 'news', delivered: false});
+			model.storeMessage('testHash', {payload: 'untagged', delivered: false});
+
+			const data = model.getNotifications({clientHash: 'testHash'});
+			assert.deepEqual(data.messages, ['other', 'second', 'untagged']);
+			assert.deepEqual(data.superseded, ['first']);
+		});
+
+		it('Keeps delivered message with same topic', () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {some: 'data'};
+			model.storeMessage('testHash', {payload: 'first', topic: 'news', delivered: false});
+			model.getNotifications({clientHash: 'testHash'});
+			model.storeMessage('testHash', {payload: 'second', topic: 'news', delivered: false});
+
+			const data = model.getNotifications({clientHash: 'testHash'});
+			assert.deepEqual(data.messages, ['first', 'second']);
+			assert.deepEqual(data.superseded, []);
+		});
+	});
+
+	describe('Message time-to-live', () => {
+		const setUpSubscription = model => {
+			const ecdh = crypto.createECDH('prime256v1');
+			ecdh.setPrivateKey(model.base64UrlDecode('PSQe0Tyal7mYQxSWEB8PDE-03rhXabdWqIRPA28oczo'));
+			model.subscriptions.testHash = {
+				applicationServerKey: undefined,
+				publicKey: 'BLFs1fhFLaLQ1VUOsQ0gqysdZUigBkR729fgFLO99fTNRr9BJPY02JyOSXVqoPOYkG-nzNu83EEzpmeJgphXCoM',
+				subscriptionDh: ecdh,
+				auth: 'PST6Fru-E4BwgZ-WfuoLEA',
+			};
+		};
+
+		const requestBody = 'GaEPNjGhZ6YHIpzPgcSTuAAAEABBBNfCvIUmOmJPCM9E8HKQXr2n44RBECF61EiYV9kPlGeTxKwyCuZSl6-UZMWQHN-IFyu1-tytGic-TodexXcy8nOq8ovjJzeLwjQ0taWXJsNYOD8RbQ1p';
+
+		it('Stores received time and TTL', async () => {
+			const model = new PushApiModel();
+			setUpSubscription(model);
+			const before = Date.now();
+			await model.handleNotification('testHash', {encoding: 'aes128gcm', ttl: '120'}, model.base64UrlDecode(requestBody));
+
+			model.messages.testHash.length.should.equal(1);
+			model.messages.testHash[0].ttl.should.equal(120);
+			model.messages.testHash[0].received.should.be.within(before, Date.now());
+		});
+
+		it('Drops undelivered messages once TTL has elapsed', () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {some: 'data'};
+			model.storeMessage('testHash', {payload: 'expired', received: Date.now() - 61000, ttl: 60, delivered: false});
+			model.storeMessage('testHash', {payload: 'valid', received: Date.now() - 59000, ttl: 60, delivered: false});
+
+			assert.deepEqual(model.getNotifications({clientHash: 'testHash'}).messages, ['valid']);
+			model.messages.testHash.length.should.equal(1);
+		});
+
+		it('Keeps delivered messages after TTL has elapsed', () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {some: 'data'};
+			model.storeMessage('testHash', {payload: 'delivered', received: Date.now(), ttl: 60, delivered: false});
+			model.getNotifications({clientHash: 'testHash'});
+			model.messages.testHash[0].received -= 61000;
+
+			assert.deepEqual(model.getNotifications({clientHash: 'testHash'}).messages, ['delivered']);
+		});
+
+		it('Discards message with TTL of 0 if client is not polling', async () => {
+			const model = new PushApiModel();
+			setUpSubscription(model);
+			await model.handleNotification('testHash', {encoding: 'aes128gcm', ttl: '0'}, model.base64UrlDecode(requestBody));
+
+			assert.deepEqual(model.getNotifications({clientHash: 'testHash'}).messages, []);
+		});
+
+		it('Delivers message with TTL of 0 if client is polling', async () => {
+			const model = new PushApiModel();
+			setUpSubscription(model);
+			model.getNotifications({clientHash: 'testHash'});
+			await model.handleNotification('testHash', {encoding: 'aes128gcm', ttl: '0'}, model.base64UrlDecode(requestBody));
+
+			assert.deepEqual(model.getNotifications({clientHash: 'testHash'}).messages, ['hello']);
+		});
+
+		it('Discards message with TTL of 0 once polling timed out', async () => {
+			const model = new PushApiModel();
+			setUpSubscription(model);
+			model.getNotifications({clientHash: 'testHash'});
+			model.subscriptions.testHash.lastPolled -= model.pollingTimeout + 1;
+			await model.handleNotification('testHash', {encoding: 'aes128gcm', ttl: '0'}, model.base64UrlDecode(requestBody));
+
+			assert.deepEqual(model.getNotifications({clientHash: 'testHash'}).messages, []);
+		});
+
+		it('Drops undelivered message with TTL of 0 once polling timeout has elapsed', async () => {
+			const model = new PushApiModel();
+			setUpSubscription(model);
+			model.getNotifications({clientHash: 'testHash'});
+			await model.handleNotification('testHash', {encoding: 'aes128gcm', ttl: '0'}, model.base64UrlDecode(requestBody));
+			model.messages.testHash.length.should.equal(1);
+			model.messages.testHash[0].received -= model.pollingTimeout + 1;
+
+			assert.deepEqual(model.getNotifications({clientHash: 'testHash'}).messages, []);
+			model.messages.testHash.length.should.equal(0);
+		});
+	});
+
 	describe('Validate subscription options', () => {
 		const input = [
 			{
@@ -102,6 +459,26 @@ describe('Push API Model tests', () => {
 				description: 'Valid applicationServerKey',
 				options: {applicationServerKey: vapidKeys.publicKey},
 			},
+			{
+				description: 'Valid lifetime',
+				options: {lifetime: '3600'},
+			},
+			{
+				description: 'Exception thrown with non-numeric lifetime',
+				options: {lifetime: 'forever'},
+				expectedError: {
+					type: RangeError,
+					match: /Parameter lifetime is not a positive integer/,
+				},
+			},
+			{
+				description: 'Exception thrown with lifetime of 0',
+				options: {lifetime: 0},
+				expectedError: {
+					type: RangeError,
+					match: /Parameter lifetime is not a positive integer/,
+				},
+			},
 		];
 
 		input.forEach(({description, options, expectedError}) => {
@@ -157,58 +534,918 @@ describe('Push API Model tests', () => {
 			},
 		];
 
-		input.forEach(({description, options, expectedReturn, expectedError}) => {
-			it(description, async () => {
-				const model = new PushApiModel();
-				model.notifyUrl = 'https://localhost:12345';
-				const subscribeReturn = await model.subscribe(options)
-					.catch(err => {
-						assert.isTrue(typeof expectedError !== 'undefined', 'expectedError is not defined but exception is thrown');
-						assert.instanceOf(err, expectedError.type);
-						assert.match(err.message, expectedError.match);
-					});
-				if (expectedReturn) {
-					assert.notTypeOf(subscribeReturn, 'undefined');
-					assert.hasAllKeys(subscribeReturn, ['endpoint', 'keys', 'clientHash']);
-					assert.hasAllKeys(subscribeReturn.keys, ['p256dh', 'auth']);
-					assert.hasAllKeys(model.subscriptions, [subscribeReturn.clientHash]);
+		input.forEach(({description, options, expectedReturn, expectedError}) => {
+			it(description, async () => {
+				const model = new PushApiModel();
+				model.notifyUrl = 'https://localhost:12345';
+				const subscribeReturn = await model.subscribe(options)
+					.catch(err => {
+						assert.isTrue(typeof expectedError !== 'undefined', 'expectedError is not defined but exception is thrown');
+						assert.instanceOf(err, expectedError.type);
+						assert.match(err.message, expectedError.match);
+					});
+				if (expectedReturn) {
+					assert.notTypeOf(subscribeReturn, 'undefined');
+					assert.hasAllKeys(subscribeReturn, ['endpoint', 'expirationTime', 'keys', 'clientHash']);
+					assert.hasAllKeys(subscribeReturn.keys, ['p256dh', 'auth']);
+					assert.hasAllKeys(model.subscriptions, [subscribeReturn.clientHash]);
+				}
+			});
+		});
+	});
+
+	describe('Expire subscription', () => {
+		it('Should expire subscription', async () => {
+			const model = new PushApiModel();
+			model.notifyUrl = 'https://localhost:12345';
+			const subscribeReturn = await model.subscribe({})
+				.catch(() => {
+					assert.fail('No error expected but exception is thrown');
+				});
+
+			assert.notTypeOf(subscribeReturn, 'undefined');
+			assert.hasAllKeys(subscribeReturn, ['endpoint', 'expirationTime', 'keys', 'clientHash']);
+			assert.hasAllKeys(subscribeReturn.keys, ['p256dh', 'auth']);
+			assert.hasAllKeys(model.subscriptions, [subscribeReturn.clientHash]);
+
+			assert.isFalse(model.isSubscriptionExpired(subscribeReturn.clientHash));
+			model.expireSubscription(subscribeReturn.clientHash);
+			assert.isTrue(model.isSubscriptionExpired(subscribeReturn.clientHash));
+		});
+
+		it('Invalid subscription is properly handled', async () => {
+			const model = new PushApiModel();
+
+			assert.isFalse(model.isSubscriptionExpired('doesNotExist'));
+
+			try {
+				model.expireSubscription('doesNotExist');
+			} catch (err) {
+				assert.instanceOf(err, RangeError);
+				assert.equal(err.message, 'Subscription with specified client hash does not exist');
+			}
+
+			assert.isFalse(model.isSubscriptionExpired('doesNotExist'));
+		});
+	});
+
+	describe('Subscription expiration time', () => {
+		it('Should not set expiration time by default', async () => {
+			const model = new PushApiModel();
+			const subscribeReturn = await model.subscribe({});
+
+			assert.isNull(subscribeReturn.expirationTime);
+			assert.isFalse(model.isSubscriptionExpired(subscribeReturn.clientHash));
+		});
+
+		const input = [
+			{description: 'lifetime option', modelOptions: {}, subscribeOptions: {lifetime: '60'}, lifetime: 60},
+			{description: 'default lifetime', modelOptions: {subscriptionLifetime: 120}, subscribeOptions: {}, lifetime: 120},
+			{description: 'lifetime option overriding default lifetime', modelOptions: {subscriptionLifetime: 120}, subscribeOptions: {lifetime: 30}, lifetime: 30},
+		];
+
+		input.forEach(({description, modelOptions, subscribeOptions, lifetime}) => {
+			it('Should set expiration time from ' + description, async () => {
+				const model = new PushApiModel(modelOptions);
+				const before = Date.now();
+				const subscribeReturn = await model.subscribe(subscribeOptions);
+
+				subscribeReturn.expirationTime.should.be.within(before + (lifetime * 1000), Date.now() + (lifetime * 1000));
+				assert.isFalse(model.isSubscriptionExpired(subscribeReturn.clientHash));
+			});
+		});
+
+		const invalidLifetimes = [0, -60, 1.5, NaN, null, 'abc'];
+
+		invalidLifetimes.forEach(subscriptionLifetime => {
+			it('Should throw on invalid default lifetime ' + subscriptionLifetime, () => {
+				assert.throws(() => new PushApiModel({subscriptionLifetime}), RangeError, 'Subscription lifetime is not a positive integer: ' + subscriptionLifetime);
+			});
+		});
+
+		it('Should expire subscription once expiration time has passed', async () => {
+			const model = new PushApiModel();
+			const {clientHash} = await model.subscribe({lifetime: 60});
+			model.subscriptions[clientHash].expirationTime = Date.now() - 1;
+
+			assert.isTrue(model.isSubscriptionExpired(clientHash));
+			try {
+				await model.handleNotification(clientHash, {}, Buffer.alloc(0));
+				assert.fail('Did not throw SubscriptionExpiredError even though subscription expired');
+			} catch (err) {
+				assert.instanceOf(err, SubscriptionExpiredError);
+			}
+		});
+	});
+
+	describe('Message resources', () => {
+		it('Should return message data by ID', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testClientHash = {};
+			const message = await model.handleNotification('testClientHash', {ttl: 60, urgency: 'low'}, Buffer.alloc(0));
+
+			assert.isString(message.id);
+			const messageData = model.getMessage(message.id);
+			assert.deepEqual(messageData, message);
+			messageData.urgency.should.equal('low');
+		});
+
+		it('Should cancel undelivered message', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testClientHash = {};
+			const message = await model.handleNotification('testClientHash', {ttl: 60}, Buffer.alloc(0));
+			const otherMessage = await model.handleNotification('testClientHash', {ttl: 60}, Buffer.alloc(0));
+
+			model.deleteMessage(message.id);
+			model.messages.testClientHash.length.should.equal(1);
+			model.messages.testClientHash[0].id.should.equal(otherMessage.id);
+			assert.throws(() => model.getMessage(message.id), MessageNotFoundError, 'Message with specified ID does not exist');
+		});
+
+		it('Should not cancel delivered message', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testClientHash = {};
+			const message = await model.handleNotification('testClientHash', {ttl: 60}, Buffer.alloc(0));
+			model.getNotifications({clientHash: 'testClientHash'});
+
+			assert.throws(() => model.deleteMessage(message.id), Error, 'Message has already been delivered');
+			model.messages.testClientHash.length.should.equal(1);
+		});
+
+		it('Should not find discarded message', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testClientHash = {};
+			const message = await model.handleNotification('testClientHash', {ttl: 0}, Buffer.alloc(0));
+
+			assert.throws(() => model.getMessage(message.id), MessageNotFoundError);
+			assert.throws(() => model.deleteMessage(message.id), MessageNotFoundError);
+			model.isMessageStored('testClientHash', message.id).should.equal(false);
+		});
+
+		it('Should check if message is stored', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testClientHash = {};
+			const message = await model.handleNotification('testClientHash', {ttl: 60}, Buffer.alloc(0));
+
+			model.isMessageStored('testClientHash', message.id).should.equal(true);
+			model.isMessageStored('otherClientHash', message.id).should.equal(false);
+		});
+	});
+
+	describe('Push message receipts', () => {
+		const http = require('http');
+		let receiptServer;
+		let receipts;
+		let receiptUrl;
+
+		before(done => {
+			receiptServer = http.createServer((req, res) => {
+				let body = '';
+				req.on('data', chunk => {
+					body += chunk;
+				});
+				req.on('end', () => {
+					receipts.push({url: req.url, body: JSON.parse(body)});
+					res.statusCode = 200;
+					res.end();
+				});
+			});
+			receiptServer.listen(0, () => {
+				receiptUrl = 'http://localhost:' + receiptServer.address().port + '/receipt';
+				done();
+			});
+		});
+
+		after(() => {
+			receiptServer.close();
+		});
+
+		beforeEach(() => {
+			receipts = [];
+		});
+
+		const waitForReceipts = count => new Promise(resolve => {
+			const checkReceipts = () => {
+				if (receipts.length >= count) {
+					resolve();
+				} else {
+					setTimeout(checkReceipts, 10);
+				}
+			};
+
+			checkReceipts();
+		});
+
+		it('Should validate Push-Receipt header', () => {
+			const model = new PushApiModel();
+			model.validateNotificationHeaders({}, {encoding: 'aes128gcm', ttl: '60', pushReceipt: 'http://localhost:8080/receipt'});
+			assert.throws(
+				() => model.validateNotificationHeaders({}, {encoding: 'aes128gcm', ttl: '60', pushReceipt: 'ftp://localhost/receipt'}),
+				Error,
+				'Push-Receipt header is invalid: ftp://localhost/receipt',
+			);
+		});
+
+		it('Should send receipt once message is delivered', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testClientHash = {};
+			await model.handleNotification('testClientHash', {ttl: 60, pushReceipt: receiptUrl}, Buffer.alloc(0));
+			await model.handleNotification('testClientHash', {ttl: 60}, Buffer.alloc(0));
+			const [message] = model.messages.testClientHash;
+			message.receiptUrl.should.equal(receiptUrl);
+			receipts.length.should.equal(0);
+
+			model.getNotifications({clientHash: 'testClientHash'});
+			model.getNotifications({clientHash: 'testClientHash'});
+			await waitForReceipts(1);
+			await new Promise(resolve => {
+				setTimeout(resolve, 50);
+			});
+
+			receipts.length.should.equal(1);
+			receipts[0].url.should.equal('/receipt');
+			receipts[0].body.id.should.equal(message.id);
+			receipts[0].body.clientHash.should.equal('testClientHash');
+			assert.isNumber(receipts[0].body.delivered);
+		});
+	});
+
+	describe('Fault injection', () => {
+		const input = [
+			{name: 'invalid status', options: {status: 418}, message: 'Invalid fault status: 418'},
+			{name: 'zero probability', options: {status: 500, probability: 0}, message: 'Fault probability must be greater than 0 and at most 1'},
+			{name: 'too high probability', options: {status: 500, probability: 1.5}, message: 'Fault probability must be greater than 0 and at most 1'},
+			{name: 'invalid count', options: {status: 500, count: 0}, message: 'Fault count must be a positive integer'},
+			{name: 'invalid Retry-After', options: {status: 429, retryAfter: -1}, message: 'Retry-After must be a non-negative integer'},
+			{name: 'unknown subscription', options: {status: 500, clientHash: 'unknownHash'}, message: 'Subscription with specified client hash does not exist'},
+		];
+
+		input.forEach(({name, options, message}) => {
+			it('Should throw on ' + name, () => {
+				const model = new PushApiModel();
+				assert.throws(() => model.injectFault(options), RangeError, message);
+			});
+		});
+
+		it('Should fail specified number of requests', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.firstClientHash = {};
+			model.subscriptions.secondClientHash = {};
+			model.injectFault({status: 429, count: 2, retryAfter: 30, clientHash: 'firstClientHash'});
+
+			for (let i = 0; i < 2; i++) {
+				// eslint-disable-next-line no-await-in-loop
+				const err = await model.handleNotification('firstClientHash', {ttl: 60}, Buffer.alloc(0)).catch(err => err);
+				assert.instanceOf(err, InjectedFaultError);
+				err.status.should.equal(429);
+				err.retryAfter.should.equal(30);
+			}
+
+			await model.handleNotification('firstClientHash', {ttl: 60}, Buffer.alloc(0));
+			await model.handleNotification('secondClientHash', {ttl: 60}, Buffer.alloc(0));
+			model.messages.firstClientHash.length.should.equal(1);
+			model.messages.secondClientHash.length.should.equal(1);
+		});
+
+		it('Should prefer subscription fault over global fault', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testClientHash = {};
+			model.injectFault({status: 503, count: 5});
+			model.injectFault({status: 404, clientHash: 'testClientHash'});
+
+			const clientErr = await model.handleNotification('testClientHash', {ttl: 60}, Buffer.alloc(0)).catch(err => err);
+			clientErr.status.should.equal(404);
+			assert.isNull(clientErr.retryAfter);
+			const globalErr = await model.handleNotification('testClientHash', {ttl: 60}, Buffer.alloc(0)).catch(err => err);
+			globalErr.status.should.equal(503);
+
+			model.clearFaults();
+			await model.handleNotification('testClientHash', {ttl: 60}, Buffer.alloc(0));
+		});
+
+		it('Should only clear faults of subscriptions in namespace', async () => {
+			const model = new PushApiModel();
+			model.notifyUrl = 'http://localhost:8090/notify/';
+			const {clientHash} = await model.subscribe({}, 'shardA');
+			const {clientHash: otherClientHash} = await model.subscribe({}, 'shardB');
+			model.injectFault({status: 503, probability: 1});
+			model.injectFault({status: 502, probability: 1, clientHash});
+			model.injectFault({status: 502, probability: 1, clientHash: otherClientHash});
+
+			assert.throws(() => model.clearFaults(undefined, 'shardA'), RangeError, 'Parameter clientHash is required within namespace');
+			assert.throws(() => model.clearFaults(otherClientHash, 'shardA'), RangeError, 'Subscription with specified client hash does not exist');
+			model.clearFaults(clientHash, 'shardA');
+
+			assert.hasAllKeys(model.faults, [otherClientHash]);
+			model.globalFault.status.should.equal(503);
+		});
+
+		it('Should fail requests randomly with probability', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testClientHash = {};
+			model.injectFault({status: 500, probability: 0.5});
+			const {random} = Math;
+			const randomValues = [0.2, 0.7, 0.4];
+			Math.random = () => randomValues.shift();
+
+			const results = [];
+			for (let i = 0; i < 3; i++) {
+				// eslint-disable-next-line no-await-in-loop
+				results.push(await model.handleNotification('testClientHash', {ttl: 60}, Buffer.alloc(0)).catch(err => err));
+			}
+
+			Math.random = random;
+			assert.instanceOf(results[0], InjectedFaultError);
+			assert.notInstanceOf(results[1], InjectedFaultError);
+			assert.instanceOf(results[2], InjectedFaultError);
+			assert.isNotNull(model.globalFault);
+		});
+	});
+
+	describe('Rate limiting', () => {
+		const input = [
+			{name: 'missing burst', options: {}, message: 'Rate limit burst must be a positive integer'},
+			{name: 'invalid burst', options: {burst: 1.5}, message: 'Rate limit burst must be a positive integer'},
+			{name: 'invalid window', options: {burst: 1, window: 0}, message: 'Rate limit window must be a positive number'},
+			{name: 'invalid key', options: {burst: 1, key: 'ip'}, message: 'Rate limit key must be one of: vapid, subscription'},
+		];
+
+		input.forEach(({name, options, message}) => {
+			it('Should throw on ' + name, () => {
+				const model = new PushApiModel();
+				assert.throws(() => model.setRateLimit(options), RangeError, message);
+			});
+		});
+
+		it('Should limit requests per VAPID key', async () => {
+			const model = new PushApiModel({rateLimit: {burst: 2, window: 10}});
+			model.rateLimit.should.deep.equal({burst: 2, window: 10, key: 'vapid'});
+			model.subscriptions.firstClientHash = {applicationServerKey: vapidKeys.publicKey};
+			model.subscriptions.secondClientHash = {applicationServerKey: vapidKeys.publicKey};
+			model.subscriptions.thirdClientHash = {};
+
+			model.checkRateLimit('firstClientHash');
+			model.checkRateLimit('secondClientHash');
+			const err = await model.handleNotification('firstClientHash', {ttl: 60}, Buffer.alloc(0)).catch(err => err);
+			assert.instanceOf(err, RateLimitError);
+			err.message.should.equal('Rate limit exceeded');
+			err.retryAfter.should.be.within(9, 10);
+			model.checkRateLimit('thirdClientHash');
+			model.checkRateLimit('thirdClientHash');
+			assert.throws(() => model.checkRateLimit('thirdClientHash'), RateLimitError);
+		});
+
+		it('Should limit requests per subscription within sliding window', () => {
+			const model = new PushApiModel({rateLimit: {burst: 1, window: 10, key: 'subscription'}});
+			model.subscriptions.firstClientHash = {applicationServerKey: vapidKeys.publicKey};
+			model.subscriptions.secondClientHash = {applicationServerKey: vapidKeys.publicKey};
+
+			model.checkRateLimit('firstClientHash');
+			model.checkRateLimit('secondClientHash');
+			assert.throws(() => model.checkRateLimit('firstClientHash'), RateLimitError);
+
+			model.rateLimitRequests['subscription:firstClientHash'] = [Date.now() - 10001];
+			model.checkRateLimit('firstClientHash');
+
+			model.setRateLimit(null);
+			model.checkRateLimit('firstClientHash');
+			model.checkRateLimit('firstClientHash');
+		});
+	});
+
+	describe('Latency simulation', () => {
+		const input = [
+			{name: 'invalid delay', options: {delay: -1}, message: 'Latency delay & jitter must be non-negative integers'},
+			{name: 'invalid jitter', options: {delay: 10, jitter: 'abc'}, message: 'Latency delay & jitter must be non-negative integers'},
+			{name: 'invalid endpoint', options: {delay: 10, endpoint: 'status'}, message: 'Latency endpoint must be one of: notify, subscribe'},
+			{name: 'subscribe latency per subscription', options: {delay: 10, endpoint: 'subscribe', clientHash: 'testClientHash'}, message: 'Latency per subscription is only supported for notify endpoint'},
+			{name: 'unknown subscription', options: {delay: 10, clientHash: 'unknownHash'}, message: 'Subscription with specified client hash does not exist'},
+		];
+
+		input.forEach(({name, options, message}) => {
+			it('Should throw on ' + name, () => {
+				const model = new PushApiModel();
+				model.subscriptions.testClientHash = {};
+				assert.throws(() => model.setLatency(options), RangeError, message);
+			});
+		});
+
+		it('Should set latency from options', () => {
+			const model = new PushApiModel({latency: {delay: 100, jitter: 20, subscribe: true}});
+			model.latency.should.deep.equal({notify: {delay: 100, jitter: 20}, subscribe: {delay: 100, jitter: 20}});
+			const notifyOnlyModel = new PushApiModel({latency: {delay: 100}});
+			notifyOnlyModel.latency.should.deep.equal({notify: {delay: 100, jitter: 0}, subscribe: null});
+		});
+
+		it('Should delay notifications & subscriptions', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.firstClientHash = {};
+			model.subscriptions.secondClientHash = {};
+			model.setLatency({delay: 100, endpoint: 'subscribe'});
+			model.setLatency({delay: 50, jitter: 10});
+			model.setLatency({delay: 0, clientHash: 'firstClientHash'});
+			model.setLatency({delay: 150, clientHash: 'secondClientHash'});
+
+			const measure = async callback => {
+				const start = Date.now();
+				await callback();
+				return Date.now() - start;
+			};
+
+			(await measure(() => model.subscribe({}))).should.be.at.least(95);
+			(await measure(() => model.handleNotification('firstClientHash', {ttl: 60}, Buffer.alloc(0)))).should.be.within(45, 100);
+			(await measure(() => model.handleNotification('secondClientHash', {ttl: 60}, Buffer.alloc(0)))).should.be.at.least(145);
+			(await measure(() => model.handleNotification('unknownHash', {ttl: 60}, Buffer.alloc(0)).catch(() => {}))).should.be.at.least(45);
+		});
+	});
+
+	describe('Push service profiles', () => {
+		it('Should throw on unknown profile', async () => {
+			assert.throws(() => new PushApiModel({profile: 'unknown'}), RangeError, 'Unknown profile: unknown');
+			const model = new PushApiModel();
+			const err = await model.subscribe({profile: 'unknown'}).catch(err => err);
+			assert.instanceOf(err, RangeError);
+			err.message.should.equal('Unknown profile: unknown');
+		});
+
+		it('Should require application server key for apple profile', async () => {
+			const model = new PushApiModel({profile: 'apple'});
+			const err = await model.subscribe({}).catch(err => err);
+			assert.instanceOf(err, RangeError);
+			err.message.should.equal('Parameter applicationServerKey is required for profile apple');
+			const subscription = await model.subscribe({applicationServerKey: vapidKeys.publicKey});
+			model.subscriptions[subscription.clientHash].profile.should.equal('apple');
+		});
+
+		it('Should create endpoints according to profile', async () => {
+			const model = new PushApiModel({profile: 'autopush'});
+			model.notifyUrl = 'https://localhost:12345/notify/';
+			const autopushSubscription = await model.subscribe({});
+			autopushSubscription.endpoint.should.equal('https://localhost:12345/wpush/v2/' + autopushSubscription.clientHash);
+			const fcmSubscription = await model.subscribe({profile: 'fcm'});
+			fcmSubscription.endpoint.should.equal('https://localhost:12345/fcm/send/' + fcmSubscription.clientHash);
+			const defaultSubscription = await model.subscribe({profile: 'default'});
+			defaultSubscription.endpoint.should.equal('https://localhost:12345/notify/' + defaultSubscription.clientHash);
+
+			const {newSubscription} = await model.rotateSubscription(fcmSubscription.clientHash);
+			newSubscription.endpoint.should.equal('https://localhost:12345/fcm/send/' + newSubscription.clientHash);
+		});
+	});
+
+	describe('Legacy server key authorization', () => {
+		const input = [
+			{description: 'No server keys added', serverKeys: [], authorization: undefined},
+			{description: 'Valid server key', serverKeys: ['firstKey', 'secondKey'], authorization: 'key=secondKey'},
+			{description: 'Subscription with application server key', serverKeys: ['firstKey'], applicationServerKey: vapidKeys.publicKey, authorization: undefined},
+			{description: 'Missing Authorization header', serverKeys: ['firstKey'], authorization: undefined, expectedError: Error, expectedMessage: 'Missing server key in Authorization header'},
+			{description: 'Authorization header without key', serverKeys: ['firstKey'], authorization: 'WebPush token', expectedError: Error, expectedMessage: 'Missing server key in Authorization header'},
+			{description: 'Empty server key', serverKeys: ['firstKey'], authorization: 'key=', expectedError: Error, expectedMessage: 'Missing server key in Authorization header'},
+			{description: 'Invalid server key', serverKeys: ['firstKey'], authorization: 'key=wrongKey', expectedError: UnauthorizedError, expectedMessage: 'Invalid server key'},
+		];
+
+		input.forEach(({description, serverKeys, applicationServerKey, authorization, expectedError, expectedMessage}) => {
+			it(description, () => {
+				const model = new PushApiModel({serverKeys});
+				if (typeof expectedError === 'undefined') {
+					model.validateServerKey({applicationServerKey}, authorization);
+				} else {
+					assert.throws(() => model.validateServerKey({applicationServerKey}, authorization), expectedError, expectedMessage);
+				}
+			});
+		});
+
+		it('Should add server keys', () => {
+			const model = new PushApiModel();
+			model.addServerKey('firstKey');
+			model.addServerKey('firstKey');
+			assert.deepEqual(model.serverKeys, ['firstKey']);
+			assert.throws(() => model.addServerKey(''), RangeError, 'Server key must be a non-empty string');
+		});
+	});
+
+	describe('List and inspect subscriptions', () => {
+		it('Should list subscriptions with message count', async () => {
+			const model = new PushApiModel();
+			model.notifyUrl = 'https://localhost:12345/notify/';
+			const start = Date.now();
+			const vapidSubscription = await model.subscribe({applicationServerKey: vapidKeys.publicKey});
+			const expiredSubscription = await model.subscribe({profile: 'fcm'});
+			model.expireSubscription(expiredSubscription.clientHash);
+			model.storeMessage(vapidSubscription.clientHash, {payload: 'first', delivered: false});
+			model.storeMessage(vapidSubscription.clientHash, {payload: 'second', delivered: false});
+
+			const subscriptions = model.listSubscriptions();
+			subscriptions.length.should.equal(2);
+			const [vapidSummary, expiredSummary] = subscriptions;
+			vapidSummary.created.should.be.within(start, Date.now());
+			assert.deepEqual(vapidSummary, {
+				clientHash: vapidSubscription.clientHash,
+				endpoint: vapidSubscription.endpoint,
+				created: vapidSummary.created,
+				applicationServerKey: vapidKeys.publicKey,
+				isExpired: false,
+				expirationTime: null,
+				profile: 'default',
+				messageCount: 2,
+				namespace: null,
+			});
+			expiredSummary.endpoint.should.equal(expiredSubscription.endpoint);
+			assert.isNull(expiredSummary.applicationServerKey);
+			assert.isTrue(expiredSummary.isExpired);
+			expiredSummary.profile.should.equal('fcm');
+			expiredSummary.messageCount.should.equal(0);
+		});
+
+		it('Should return subscription details', async () => {
+			const model = new PushApiModel();
+			const subscription = await model.subscribe({});
+			model.storeMessage(subscription.clientHash, {payload: 'first', topic: 'news', delivered: false});
+			model.storeMessage(subscription.clientHash, {payload: 'second', topic: 'news', delivered: false});
+
+			const details = model.getSubscriptionDetails(subscription.clientHash);
+			details.clientHash.should.equal(subscription.clientHash);
+			assert.deepEqual(details.keys, subscription.keys);
+			assert.isNull(details.lastPolled);
+			assert.isNull(details.webhookUrl);
+			details.messageCount.should.equal(1);
+			assert.deepEqual(details.messages, [{payload: 'second', topic: 'news', delivered: false}]);
+			assert.deepEqual(details.superseded, [{payload: 'first', topic: 'news', delivered: false}]);
+			details.messages[0].payload = 'changed';
+			model.messages[subscription.clientHash][0].payload.should.equal('second');
+
+			assert.throws(() => model.getSubscriptionDetails('unknownHash'), SubscriptionNotFoundError);
+		});
+	});
+
+	describe('Reset', () => {
+		it('Should clear subscriptions, messages & runtime rules', async () => {
+			const model = new PushApiModel({webhookUrl: 'http://localhost:8080/hook', latency: {delay: 10}});
+			const subscription = await model.subscribe({});
+			model.storeMessage(subscription.clientHash, {payload: 'first', delivered: false});
+			model.setWebhook(null);
+			model.addServerKey('testKey');
+			model.injectFault({status: 500});
+			model.setRateLimit({burst: 1});
+			model.setLatency({delay: 50, clientHash: subscription.clientHash});
+
+			model.reset();
+			assert.deepEqual(model.subscriptions, {});
+			assert.deepEqual(model.messages, {});
+			model.webhookUrl.should.equal('http://localhost:8080/hook');
+			assert.deepEqual(model.serverKeys, []);
+			assert.isNull(model.globalFault);
+			assert.isNull(model.rateLimit);
+			assert.deepEqual(model.latency, {notify: {delay: 10, jitter: 0}, subscribe: null});
+			assert.deepEqual(model.latencies, {});
+		});
+
+		it('Should keep subscriptions if requested', async () => {
+			const model = new PushApiModel();
+			const subscription = await model.subscribe({});
+			model.setWebhook('http://localhost:8080/hook', subscription.clientHash);
+			model.injectFault({status: 500, clientHash: subscription.clientHash});
+			model.storeMessage(subscription.clientHash, {payload: 'first', topic: 'news', delivered: false});
+			model.storeMessage(subscription.clientHash, {payload: 'second', topic: 'news', delivered: false});
+
+			model.reset({keepSubscriptions: true});
+			assert.hasAllKeys(model.subscriptions, [subscription.clientHash]);
+			assert.isUndefined(model.subscriptions[subscription.clientHash].webhookUrl);
+			assert.deepEqual(model.faults, {});
+			assert.deepEqual(model.getNotifications({clientHash: subscription.clientHash}), {messages: [], superseded: []});
+		});
+	});
+
+	describe('Namespaces', () => {
+		it('Should reject invalid namespace', async () => {
+			const model = new PushApiModel();
+			const err = await model.subscribe({}, 'invalid/namespace').catch(err => err);
+			assert.instanceOf(err, RangeError);
+			err.message.should.equal('Invalid namespace: invalid/namespace');
+		});
+
+		it('Should isolate subscriptions in namespaces', async () => {
+			const model = new PushApiModel();
+			model.notifyUrl = 'https://localhost:12345/notify/';
+			const firstSubscription = await model.subscribe({}, 'first');
+			const secondSubscription = await model.subscribe({profile: 'fcm'}, 'second');
+			const defaultSubscription = await model.subscribe({});
+			firstSubscription.endpoint.should.equal('https://localhost:12345/ns/first/notify/' + firstSubscription.clientHash);
+			secondSubscription.endpoint.should.equal('https://localhost:12345/ns/second/fcm/send/' + secondSubscription.clientHash);
+			defaultSubscription.endpoint.should.equal('https://localhost:12345/notify/' + defaultSubscription.clientHash);
+
+			assert.deepEqual(model.listSubscriptions('first').map(({clientHash}) => clientHash), [firstSubscription.clientHash]);
+			model.listSubscriptions().length.should.equal(3);
+			model.getSubscriptionDetails(firstSubscription.clientHash, 'first').namespace.should.equal('first');
+			assert.throws(() => model.getSubscriptionDetails(firstSubscription.clientHash, 'second'), SubscriptionNotFoundError);
+			assert.throws(() => model.getNotifications({clientHash: firstSubscription.clientHash}, 'second'), RangeError, 'Client not subscribed');
+			const err = await model.handleNotification(firstSubscription.clientHash, {ttl: 60}, Buffer.alloc(0), 'second').catch(err => err);
+			assert.instanceOf(err, SubscriptionNotFoundError);
+			await model.handleNotification(firstSubscription.clientHash, {ttl: 60}, Buffer.alloc(0), 'first');
+			model.getNotifications({clientHash: firstSubscription.clientHash}, 'first').messages.length.should.equal(1);
+
+			const {newSubscription} = await model.rotateSubscription(secondSubscription.clientHash);
+			newSubscription.endpoint.should.equal('https://localhost:12345/ns/second/fcm/send/' + newSubscription.clientHash);
+		});
+
+		it('Should not modify subscriptions of other namespaces', async () => {
+			const model = new PushApiModel();
+			const {clientHash} = await model.subscribe({}, 'first');
+			const message = await model.handleNotification(clientHash, {ttl: 60}, Buffer.alloc(0));
+			const notFoundMessage = 'Subscription with specified client hash does not exist';
+
+			assert.throws(() => model.unsubscribe(clientHash, 'second'), RangeError, notFoundMessage);
+			assert.throws(() => model.expireSubscription(clientHash, 'second'), RangeError, notFoundMessage);
+			const rotateErr = await model.rotateSubscription(clientHash, 'second').catch(err => err);
+			rotateErr.message.should.equal(notFoundMessage);
+			const waitErr = await model.waitForNotification({clientHash, timeout: 100}, undefined, 'second').catch(err => err);
+			waitErr.message.should.equal('Client not subscribed');
+			assert.throws(() => model.setWebhook('http://localhost:8080/hook', clientHash, 'second'), RangeError, notFoundMessage);
+			assert.throws(() => model.injectFault({status: 500, clientHash}, 'second'), RangeError, notFoundMessage);
+			assert.throws(() => model.setLatency({delay: 10, clientHash}, 'second'), RangeError, notFoundMessage);
+			assert.throws(() => model.getMessage(message.id, 'second'), MessageNotFoundError);
+			assert.throws(() => model.deleteMessage(message.id, 'second'), MessageNotFoundError);
+
+			assert.throws(() => model.setWebhook('http://localhost:8080/hook', undefined, 'first'), RangeError, 'Parameter clientHash is required within namespace');
+			assert.throws(() => model.injectFault({status: 500}, 'first'), RangeError, 'Parameter clientHash is required within namespace');
+			assert.throws(() => model.setLatency({delay: 10}, 'first'), RangeError, 'Parameter clientHash is required within namespace');
+
+			model.getMessage(message.id, 'first').id.should.equal(message.id);
+			model.expireSubscription(clientHash, 'first');
+			assert.isTrue(model.isSubscriptionExpired(clientHash));
+			model.unsubscribe(clientHash, 'first');
+			assert.deepEqual(model.subscriptions, {});
+		});
+
+		it('Should only reset subscriptions in namespace', async () => {
+			const model = new PushApiModel();
+			const firstSubscription = await model.subscribe({}, 'first');
+			const secondSubscription = await model.subscribe({}, 'second');
+			model.storeMessage(firstSubscription.clientHash, {payload: 'first', delivered: false});
+			model.storeMessage(secondSubscription.clientHash, {payload: 'second', delivered: false});
+			model.injectFault({status: 500});
+			model.injectFault({status: 500, clientHash: firstSubscription.clientHash});
+
+			model.reset({keepSubscriptions: true, namespace: 'first'});
+			assert.hasAllKeys(model.subscriptions, [firstSubscription.clientHash, secondSubscription.clientHash]);
+			assert.hasAllKeys(model.messages, [secondSubscription.clientHash]);
+			assert.deepEqual(model.faults, {});
+			assert.isNotNull(model.globalFault);
+
+			model.reset({namespace: 'second'});
+			assert.hasAllKeys(model.subscriptions, [firstSubscription.clientHash]);
+			assert.deepEqual(model.messages, {});
+		});
+
+		const input = [
+			{description: 'all subscriptions', options: {}},
+			{description: 'subscriptions in namespace', options: {namespace: 'first'}},
+		];
+
+		input.forEach(({description, options}) => {
+			it('Should reject waiting clients and clear rate limit requests when removing ' + description, async () => {
+				const model = new PushApiModel();
+				const subscription = await model.subscribe({}, options.namespace);
+				model.setRateLimit({burst: 10, key: 'subscription'});
+				await model.handleNotification(subscription.clientHash, {ttl: 60}, Buffer.alloc(0));
+				const waitPromise = model.waitForNotification({clientHash: subscription.clientHash, timeout: 1000});
+
+				model.reset(options);
+				const err = await waitPromise.catch(err => err);
+				assert.instanceOf(err, SubscriptionNotFoundError);
+				assert.doesNotHaveAnyKeys(model.waitingClients, [subscription.clientHash]);
+				assert.doesNotHaveAnyKeys(model.rateLimitRequests, ['subscription:' + subscription.clientHash]);
+				model.listenerCount('notification').should.equal(0);
+			});
+		});
+	});
+
+	describe('Webhook forwarding', () => {
+		const http = require('http');
+		let webhookServer;
+		let requests;
+		let webhookUrl;
+
+		before(done => {
+			webhookServer = http.createServer((req, res) => {
+				let body = '';
+				req.on('data', chunk => {
+					body += chunk;
+				});
+				req.on('end', () => {
+					requests.push({url: req.url, body: JSON.parse(body)});
+					res.statusCode = 200;
+					res.end();
+				});
+			});
+			webhookServer.listen(0, () => {
+				webhookUrl = 'http://localhost:' + webhookServer.address().port;
+				done();
+			});
+		});
+
+		after(() => {
+			webhookServer.close();
+		});
+
+		beforeEach(() => {
+			requests = [];
+		});
+
+		const waitForRequests = count => new Promise(resolve => {
+			const checkRequests = () => {
+				if (requests.length >= count) {
+					resolve();
+				} else {
+					setTimeout(checkRequests, 10);
 				}
+			};
+
+			checkRequests();
+		});
+
+		it('Should validate webhook URL', () => {
+			const model = new PushApiModel();
+			model.subscriptions.testClientHash = {};
+			assert.throws(() => model.setWebhook('ftp://localhost/hook'), RangeError, 'Invalid webhook URL: ftp://localhost/hook');
+			assert.throws(() => model.setWebhook(webhookUrl, 'unknownHash'), RangeError, 'Subscription with specified client hash does not exist');
+			model.setWebhook(webhookUrl + '/global');
+			model.webhookUrl.should.equal(webhookUrl + '/global');
+			model.setWebhook(webhookUrl + '/client', 'testClientHash');
+			model.subscriptions.testClientHash.webhookUrl.should.equal(webhookUrl + '/client');
+			model.setWebhook(null);
+			assert.isNull(model.webhookUrl);
+		});
+
+		it('Should forward notifications to subscription or global webhook', async () => {
+			const model = new PushApiModel({webhookUrl: webhookUrl + '/global'});
+			model.subscriptions.firstClientHash = {};
+			model.subscriptions.secondClientHash = {};
+			model.setWebhook(webhookUrl + '/client', 'secondClientHash');
+			const firstMessage = await model.handleNotification('firstClientHash', {ttl: 60, topic: 'news'}, Buffer.alloc(0));
+			await waitForRequests(1);
+			const secondMessage = await model.handleNotification('secondClientHash', {ttl: 60}, Buffer.alloc(0));
+			await waitForRequests(2);
+
+			requests[0].url.should.equal('/global');
+			requests[0].body.clientHash.should.equal('firstClientHash');
+			requests[0].body.message.id.should.equal(firstMessage.id);
+			requests[0].body.message.topic.should.equal('news');
+			requests[1].url.should.equal('/client');
+			requests[1].body.clientHash.should.equal('secondClientHash');
+			requests[1].body.message.id.should.equal(secondMessage.id);
+		});
+
+		it('Should not forward rejected notifications', async () => {
+			const model = new PushApiModel({webhookUrl});
+			model.subscriptions.testClientHash = {};
+			await model.handleNotification('testClientHash', {ttl: 'invalid'}, Buffer.alloc(0)).catch(() => {});
+			await new Promise(resolve => {
+				setTimeout(resolve, 50);
 			});
+
+			requests.length.should.equal(0);
 		});
 	});
 
-	describe('Expire subscription', () => {
-		it('Should expire subscription', async () => {
-			const model = new PushApiModel();
-			model.notifyUrl = 'https://localhost:12345';
-			const subscribeReturn = await model.subscribe({})
-				.catch(() => {
-					assert.fail('No error expected but exception is thrown');
-				});
+	describe('Persist state in data directory', () => {
+		const fs = require('fs');
+		const os = require('os');
+		const path = require('path');
+		let dataDir;
 
-			assert.notTypeOf(subscribeReturn, 'undefined');
-			assert.hasAllKeys(subscribeReturn, ['endpoint', 'keys', 'clientHash']);
-			assert.hasAllKeys(subscribeReturn.keys, ['p256dh', 'auth']);
-			assert.hasAllKeys(model.subscriptions, [subscribeReturn.clientHash]);
+		beforeEach(() => {
+			dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-push-testing-'));
+		});
 
-			assert.isFalse(model.isSubscriptionExpired(subscribeReturn.clientHash));
-			model.expireSubscription(subscribeReturn.clientHash);
-			assert.isTrue(model.isSubscriptionExpired(subscribeReturn.clientHash));
+		afterEach(() => {
+			fs.rmSync(dataDir, {recursive: true, force: true});
 		});
 
-		it('Invalid subscription is properly handled', async () => {
+		it('Should restore subscriptions and messages', async () => {
+			const model = new PushApiModel({dataDir});
+			model.notifyUrl = 'https://localhost:12345/notify/';
+			const subscription = await model.subscribe({applicationServerKey: vapidKeys.publicKey});
+			const expiredSubscription = await model.subscribe({});
+			model.expireSubscription(expiredSubscription.clientHash);
+			model.storeMessage(subscription.clientHash, {payload: 'first', topic: 'news', delivered: false});
+			model.storeMessage(subscription.clientHash, {payload: 'second', topic: 'news', delivered: false});
+
+			const restoredModel = new PushApiModel({dataDir});
+			restoredModel.notifyUrl = 'https://localhost:12345/notify/';
+			assert.hasAllKeys(restoredModel.subscriptions, [subscription.clientHash, expiredSubscription.clientHash]);
+			assert.deepEqual(restoredModel.getSubscriptionJson(subscription.clientHash), subscription);
+			restoredModel.subscriptions[subscription.clientHash].applicationServerKey.should.equal(vapidKeys.publicKey);
+			assert.isTrue(restoredModel.isSubscriptionExpired(expiredSubscription.clientHash));
+			assert.deepEqual(restoredModel.getNotifications({clientHash: subscription.clientHash}), {
+				messages: ['second'],
+				superseded: ['first'],
+			});
+		});
+
+		it('Should decrypt notifications with restored keys', async () => {
+			const model = new PushApiModel({dataDir});
+			const ecdh = crypto.createECDH('prime256v1');
+			ecdh.setPrivateKey(model.base64UrlDecode('PSQe0Tyal7mYQxSWEB8PDE-03rhXabdWqIRPA28oczo'));
+			model.subscriptions.testClientHash = {
+				applicationServerKey: undefined,
+				publicKey: 'BLFs1fhFLaLQ1VUOsQ0gqysdZUigBkR729fgFLO99fTNRr9BJPY02JyOSXVqoPOYkG-nzNu83EEzpmeJgphXCoM',
+				subscriptionDh: ecdh,
+				auth: 'PST6Fru-E4BwgZ-WfuoLEA',
+			};
+			model.saveState();
+
+			const restoredModel = new PushApiModel({dataDir});
+			const requestBody = restoredModel.base64UrlDecode('GaEPNjGhZ6YHIpzPgcSTuAAAEABBBNfCvIUmOmJPCM9E8HKQXr2n44RBECF61EiYV9kPlGeTxKwyCuZSl6-UZMWQHN-IFyu1-tytGic-TodexXcy8nOq8ovjJzeLwjQ0taWXJsNYOD8RbQ1p');
+			await restoredModel.handleNotification('testClientHash', {encoding: 'aes128gcm', ttl: 60}, requestBody);
+
+			assert.deepEqual(new PushApiModel({dataDir}).getNotifications({clientHash: 'testClientHash'}).messages, ['hello']);
+		});
+	});
+
+	describe('Rotate subscription', () => {
+		it('Should replace subscription with new keys and endpoint', async () => {
 			const model = new PushApiModel();
+			model.notifyUrl = 'https://localhost:12345/notify/';
+			const subscription = await model.subscribe({applicationServerKey: vapidKeys.publicKey});
 
-			assert.isFalse(model.isSubscriptionExpired('doesNotExist'));
+			const {oldSubscription, newSubscription} = await model.rotateSubscription(subscription.clientHash);
+			assert.deepEqual(oldSubscription, subscription);
+			assert.hasAllKeys(newSubscription, ['endpoint', 'expirationTime', 'keys', 'clientHash']);
+			newSubscription.clientHash.should.not.equal(subscription.clientHash);
+			newSubscription.endpoint.should.equal('https://localhost:12345/notify/' + newSubscription.clientHash);
+			newSubscription.keys.p256dh.should.not.equal(subscription.keys.p256dh);
+			newSubscription.keys.auth.should.not.equal(subscription.keys.auth);
+			model.subscriptions[newSubscription.clientHash].applicationServerKey.should.equal(vapidKeys.publicKey);
+			assert.isTrue(model.isSubscriptionExpired(subscription.clientHash));
+			assert.isFalse(model.isSubscriptionExpired(newSubscription.clientHash));
+		});
+
+		it('Invalid subscription is properly handled', async () => {
+			const model = new PushApiModel();
 
 			try {
-				model.expireSubscription('doesNotExist');
+				await model.rotateSubscription('doesNotExist');
+				assert.fail('Expected exception not thrown');
 			} catch (err) {
 				assert.instanceOf(err, RangeError);
 				assert.equal(err.message, 'Subscription with specified client hash does not exist');
 			}
+		});
+	});
 
-			assert.isFalse(model.isSubscriptionExpired('doesNotExist'));
+	describe('Unsubscribe', () => {
+		it('Should remove subscription and its messages', async () => {
+			const model = new PushApiModel();
+			model.notifyUrl = 'https://localhost:12345';
+			const {clientHash} = await model.subscribe({});
+			model.storeMessage(clientHash, {payload: 'first', topic: 'news', delivered: false});
+			model.storeMessage(clientHash, {payload: 'second', topic: 'news', delivered: false});
+
+			model.unsubscribe(clientHash);
+			assert.doesNotHaveAnyKeys(model.subscriptions, [clientHash]);
+			assert.doesNotHaveAnyKeys(model.messages, [clientHash]);
+			assert.doesNotHaveAnyKeys(model.supersededMessages, [clientHash]);
+
+			try {
+				await model.handleNotification(clientHash, {}, Buffer.alloc(0));
+				assert.fail('Did not throw SubscriptionNotFoundError even though client unsubscribed');
+			} catch (err) {
+				assert.instanceOf(err, SubscriptionNotFoundError);
+				assert.equal(err.message, 'Client not subscribed');
+			}
+		});
+
+		it('Should remove rate limit requests and reject waiting clients', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {};
+			model.setRateLimit({burst: 1});
+			await model.handleNotification('testHash', {ttl: 60}, Buffer.alloc(0));
+			const waitPromises = [
+				model.waitForNotification({clientHash: 'testHash', timeout: 1000}),
+				model.waitForNotification({clientHash: 'testHash', timeout: 1000}),
+			];
+
+			model.unsubscribe('testHash');
+			assert.doesNotHaveAnyKeys(model.rateLimitRequests, ['subscription:testHash']);
+			assert.doesNotHaveAnyKeys(model.waitingClients, ['testHash']);
+			model.listenerCount('notification').should.equal(0);
+			model.listenerCount('unsubscribe').should.equal(0);
+
+			const results = await Promise.allSettled(waitPromises);
+			results.forEach(result => {
+				result.status.should.equal('rejected');
+				assert.instanceOf(result.reason, SubscriptionNotFoundError);
+			});
+		});
+
+		it('Invalid subscription is properly handled', () => {
+			const model = new PushApiModel();
+
+			assert.throws(
+				() => model.unsubscribe('doesNotExist'),
+				RangeError,
+				'Subscription with specified client hash does not exist',
+			);
 		});
 	});
 
@@ -257,6 +1494,19 @@ describe('Push API Model tests', () => {
 					match: /TTL header is invalid/,
 				},
 			},
+			{
+				description: 'Negative TTL',
+				subscription: {applicationServerKey: 'foobar'},
+				headers: {
+					encoding: 'aes128gcm',
+					ttl: '-1',
+					authorization: 'placeholder',
+				},
+				expectedError: {
+					type: Error,
+					match: /TTL header is invalid/,
+				},
+			},
 			{
 				description: 'Missing encoding',
 				subscription: {applicationServerKey: 'foobar'},
@@ -320,6 +1570,63 @@ describe('Push API Model tests', () => {
 					match: /Missing or invalid authorization/,
 				},
 			},
+			{
+				description: 'Valid urgency',
+				subscription: {},
+				headers: {
+					encoding: 'aes128gcm',
+					ttl: '3600',
+					urgency: 'very-low',
+				},
+			},
+			{
+				description: 'Invalid urgency',
+				subscription: {},
+				headers: {
+					encoding: 'aes128gcm',
+					ttl: '3600',
+					urgency: 'urgent',
+				},
+				expectedError: {
+					type: Error,
+					match: /Urgency header is invalid: urgent/,
+				},
+			},
+			{
+				description: 'Valid topic',
+				subscription: {},
+				headers: {
+					encoding: 'aes128gcm',
+					ttl: '3600',
+					topic: 'user_123-Updates',
+				},
+			},
+			{
+				description: 'Topic with invalid characters',
+				subscription: {},
+				headers: {
+					encoding: 'aes128gcm',
+					ttl: '3600',
+					topic: 'user 123',
+				},
+				expectedError: {
+					type: Error,
+					match: /Topic header is invalid/,
+				},
+			},
+			{
+				description: 'Topic exceeding 32 characters',
+				subscription: {},
+				headers: {
+					encoding: 'aes128gcm',
+					ttl: '3600',
+					topic: 'a'.repeat(33),
+				},
+				expectedError: {
+					type: Error,
+					match: /Topic header is invalid/,
+				},
+			},
 			{
 				description: 'Not using vapid -> authorization not used',
 				subscription: {},
@@ -387,7 +1694,11 @@ describe('Push API Model tests', () => {
 
 			assert.hasAllKeys(model.messages, [testClientHash]);
 			model.messages[testClientHash].length.should.equal(1);
-			model.messages[testClientHash][0].should.equal('hello');
+			model.messages[testClientHash][0].payload.should.equal('hello');
+			model.messages[testClientHash][0].urgency.should.equal('normal');
+			model.messages[testClientHash][0].encoding.should.equal('aesgcm');
+			model.messages[testClientHash][0].ciphertextLength.should.equal(requestBody.length);
+			assert.deepEqual(model.messages[testClientHash][0].vapid, {sub: 'https://test.com', aud: 'http://localhost'});
 		});
 
 		it('Successful notification with aesgcm encryption type w/out VAPID headers', async () => {
@@ -421,7 +1732,8 @@ describe('Push API Model tests', () => {
 
 			assert.hasAllKeys(model.messages, [testClientHash]);
 			model.messages[testClientHash].length.should.equal(1);
-			model.messages[testClientHash][0].should.equal('hello');
+			model.messages[testClientHash][0].payload.should.equal('hello');
+			assert.isNull(model.messages[testClientHash][0].vapid);
 		});
 
 		it('Successful notification with aes128gcm encryption type', async () => {
@@ -453,6 +1765,7 @@ describe('Push API Model tests', () => {
 				encoding: 'aes128gcm',
 				authorization: vapidHeaders.Authorization,
 				ttl: 60,
+				urgency: 'high',
 			};
 
 			const requestBody = model.base64UrlDecode('GaEPNjGhZ6YHIpzPgcSTuAAAEABBBNfCvIUmOmJPCM9E8HKQXr2n44RBECF61EiYV9kPlGeTxKwyCuZSl6-UZMWQHN-IFyu1-tytGic-TodexXcy8nOq8ovjJzeLwjQ0taWXJsNYOD8RbQ1p');
@@ -462,8 +1775,10 @@ describe('Push API Model tests', () => {
 
 			assert.hasAllKeys(model.messages, [testClientHash]);
 			model.messages[testClientHash].length.should.equal(2);
-			model.messages[testClientHash][0].should.equal('hello');
-			model.messages[testClientHash][1].should.equal('hello');
+			model.messages[testClientHash][0].payload.should.equal('hello');
+			model.messages[testClientHash][0].urgency.should.equal('high');
+			model.messages[testClientHash][1].payload.should.equal('hello');
+			model.messages[testClientHash][1].urgency.should.equal('high');
 		});
 
 		it('Successful notification with aes128gcm encryption type w/out VAPID headers', async () => {
@@ -493,8 +1808,8 @@ describe('Push API Model tests', () => {
 
 			assert.hasAllKeys(model.messages, [testClientHash]);
 			model.messages[testClientHash].length.should.equal(2);
-			model.messages[testClientHash][0].should.equal('hello');
-			model.messages[testClientHash][1].should.equal('hello');
+			model.messages[testClientHash][0].payload.should.equal('hello');
+			model.messages[testClientHash][1].payload.should.equal('hello');
 		});
 
 		it('Throw an error for expired subscription', async () => {
@@ -554,6 +1869,118 @@ describe('Push API Model tests', () => {
 		}
 	});
 
+	describe('Validate VAPID claims', () => {
+		const jsonwebtoken = require('jsonwebtoken');
+		const {publicKey, privateKey} = crypto.generateKeyPairSync('ec', {namedCurve: 'prime256v1'});
+		const publicJwk = publicKey.export({format: 'jwk'});
+		const applicationServerKey = new PushApiModel().base64UrlEncode(Buffer.concat([
+			Buffer.from([4]),
+			Buffer.from(publicJwk.x, 'base64url'),
+			Buffer.from(publicJwk.y, 'base64url'),
+		]));
+		const now = Math.floor(Date.now() / 1000);
+
+		const input = [
+			{
+				description: 'Valid claims',
+				claims: {aud: 'http://localhost:8090', exp: now + 3600, sub: 'mailto:test@example.com'},
+			},
+			{
+				description: 'Valid claims without subject',
+				claims: {aud: 'http://localhost:8090', exp: now + 3600},
+			},
+			{
+				description: 'Audience not matching endpoint origin',
+				claims: {aud: 'http://localhost', exp: now + 3600, sub: 'mailto:test@example.com'},
+				expectedError: 'Invalid VAPID audience claim: http://localhost',
+			},
+			{
+				description: 'Missing expiration',
+				claims: {aud: 'http://localhost:8090', sub: 'mailto:test@example.com'},
+				expectedError: 'Missing VAPID expiration claim',
+			},
+			{
+				description: 'Expiration more than 24 hours in the future',
+				claims: {aud: 'http://localhost:8090', exp: now + (25 * 3600), sub: 'mailto:test@example.com'},
+				expectedError: 'VAPID expiration claim is more than 24 hours in the future: ' + (now + (25 * 3600)),
+			},
+			{
+				description: 'Expiration slightly more than 24 hours in the future within clock tolerance',
+				claims: {aud: 'http://localhost:8090', exp: now + (24 * 3600) + 30, sub: 'mailto:test@example.com'},
+				clockTolerance: 60,
+			},
+			{
+				description: 'Expired token',
+				claims: {aud: 'http://localhost:8090', exp: now - 30, sub: 'mailto:test@example.com'},
+				expectedError: 'Invalid authentication token supplied',
+			},
+			{
+				description: 'Expired token within clock tolerance',
+				claims: {aud: 'http://localhost:8090', exp: now - 30, sub: 'mailto:test@example.com'},
+				clockTolerance: 60,
+			},
+			{
+				description: 'Subject with unsupported scheme',
+				claims: {aud: 'http://localhost:8090', exp: now + 3600, sub: 'http://test.com'},
+				expectedError: 'Invalid VAPID subject claim: http://test.com',
+			},
+			{
+				description: 'Valid claims with strict subject',
+				claims: {aud: 'http://localhost:8090', exp: now + 3600, sub: 'https://example.com/contact'},
+				profile: 'apple',
+			},
+			{
+				description: 'Missing subject with strict subject',
+				claims: {aud: 'http://localhost:8090', exp: now + 3600},
+				profile: 'apple',
+				expectedError: 'Missing VAPID subject claim',
+			},
+			{
+				description: 'Subject without email address with strict subject',
+				claims: {aud: 'http://localhost:8090', exp: now + 3600, sub: 'mailto:test'},
+				profile: 'apple',
+				expectedError: 'Invalid VAPID subject claim: mailto:test',
+			},
+			{
+				description: 'Subject with localhost URL with strict subject',
+				claims: {aud: 'http://localhost:8090', exp: now + 3600, sub: 'https://localhost'},
+				profile: 'apple',
+				expectedError: 'Invalid VAPID subject claim: https://localhost',
+			},
+		];
+
+		input.forEach(({description, claims, clockTolerance, profile, expectedError}) => {
+			it(description, async () => {
+				const model = new PushApiModel({clockTolerance});
+				model.notifyUrl = 'http://localhost:8090/notify/';
+				model.subscriptions.testClientHash = {applicationServerKey, profile};
+				const jwt = jsonwebtoken.sign(claims, privateKey, {algorithm: 'ES256', noTimestamp: true});
+				const originalError = console.error;
+				console.error = () => {};
+
+				try {
+					const returnedClaims = await model.validateAuthorizationHeader('testClientHash', jwt);
+					assert.isUndefined(expectedError, 'validateAuthorizationHeader did not fail even though error is expected');
+					assert.deepEqual(returnedClaims, claims);
+				} catch (err) {
+					assert.isTrue(typeof expectedError !== 'undefined', 'expectedError is not defined but exception is thrown');
+					assert.instanceOf(err, RangeError);
+					assert.equal(err.message, expectedError);
+				} finally {
+					console.error = originalError;
+				}
+			});
+		});
+
+		const invalidClockTolerances = [-1, 1.5, NaN, null, 'abc'];
+
+		invalidClockTolerances.forEach(clockTolerance => {
+			it('Throws on invalid clock tolerance ' + clockTolerance, () => {
+				assert.throws(() => new PushApiModel({clockTolerance}), RangeError, 'Clock tolerance is not a non-negative integer: ' + clockTolerance);
+			});
+		});
+	});
+
 	it('should throw error on invalid vapid header', async () => {
 		const model = new PushApiModel();
 		const subscriptionPublicKey = 'BLFs1fhFLaLQ1VUOsQ0gqysdZUigBkR729fgFLO99fTNRr9BJPY02JyOSXVqoPOYkG-nzNu83EEzpmeJgphXCoM';
@@ -592,6 +2019,154 @@ describe('Push API Model tests', () => {
 		}
 	});
 
+	describe('Payload-less notifications', () => {
+		const testApplicationServerKey = 'BJxKEp-nlH4ezWmgipyizTbPGOB6jQIuARETjLNp5wxSbnyzJ6NRgolhMy4CVThCAc1H6l_UC38nkBqcLcQx96c';
+		const testApplicationServerPrivateKey = 'A8PXqnFU9XeF609Y2CsfFMnFCakCaPkCMrifvj2a3KY';
+
+		it('Encoding is not required for payload-less message', () => {
+			const model = new PushApiModel();
+			model.validateNotificationHeaders({}, {ttl: '60'}, true);
+		});
+
+		const input = [
+			{
+				description: 'Payload-less message without VAPID',
+				applicationServerKey: undefined,
+				sendAuthorization: false,
+				body: Buffer.alloc(0),
+			},
+			{
+				description: 'Payload-less message with VAPID',
+				applicationServerKey: testApplicationServerKey,
+				sendAuthorization: true,
+				body: Buffer.alloc(0),
+				expectedVapid: {sub: 'https://test.com', aud: 'http://localhost'},
+			},
+			{
+				description: 'Payload-less message with VAPID using WebPush authorization & Crypto-Key',
+				applicationServerKey: testApplicationServerKey,
+				sendAuthorization: true,
+				vapidEncoding: 'aesgcm',
+				body: Buffer.alloc(0),
+				expectedVapid: {sub: 'https://test.com', aud: 'http://localhost'},
+			},
+			{
+				description: 'Payload-less message with VAPID using WebPush authorization without Crypto-Key',
+				applicationServerKey: testApplicationServerKey,
+				sendAuthorization: true,
+				vapidEncoding: 'aesgcm',
+				cryptoKey: undefined,
+				body: Buffer.alloc(0),
+				expectedError: {
+					type: Error,
+					match: /Invalid Crypto-Key header sent/,
+				},
+			},
+			{
+				description: 'Payload-less message with VAPID using WebPush authorization & wrong Crypto-Key',
+				applicationServerKey: testApplicationServerKey,
+				sendAuthorization: true,
+				vapidEncoding: 'aesgcm',
+				cryptoKey: 'p256ecdsa=BIanZceKFE49T82cl2HUWK_vLQPVQPq5eZHP7y0zLWP1qDjlWe7Vx7XS8qetnPOJTZyZJrV26FST20e6CvThcmc',
+				body: Buffer.alloc(0),
+				expectedError: {
+					type: RangeError,
+					match: /Invalid Crypto-Key header sent/,
+				},
+			},
+			{
+				description: 'Payload-less message with unparsed body',
+				applicationServerKey: undefined,
+				sendAuthorization: false,
+				body: {},
+			},
+			{
+				description: 'Payload-less message with VAPID and missing authorization',
+				applicationServerKey: testApplicationServerKey,
+				sendAuthorization: false,
+				body: Buffer.alloc(0),
+				expectedError: {
+					type: RangeError,
+					match: /Missing or invalid authorization header/,
+				},
+			},
+		];
+
+		input.forEach(testCase => {
+			const {description, applicationServerKey, sendAuthorization, vapidEncoding = 'aes128gcm', body, expectedVapid, expectedError} = testCase;
+			it(description, async () => {
+				const model = new PushApiModel();
+				model.subscriptions.testClientHash = {applicationServerKey};
+				const pushHeaders = {ttl: 60};
+				if (sendAuthorization) {
+					const vapidHeaders = webPush.getVapidHeaders(
+						'http://localhost',
+						'https://test.com',
+						testApplicationServerKey,
+						testApplicationServerPrivateKey,
+						vapidEncoding,
+					);
+					pushHeaders.authorization = vapidHeaders.Authorization;
+					pushHeaders.cryptoKey = Object.prototype.hasOwnProperty.call(testCase, 'cryptoKey') ? testCase.cryptoKey : vapidHeaders['Crypto-Key'];
+				}
+
+				try {
+					await model.handleNotification('testClientHash', pushHeaders, body);
+					assert.isUndefined(expectedError, 'handleNotification did not fail even though error is expected');
+					model.messages.testClientHash.length.should.equal(1);
+					model.messages.testClientHash[0].payload.should.equal('');
+					model.messages.testClientHash[0].hasPayload.should.equal(false);
+					model.messages.testClientHash[0].ciphertextLength.should.equal(0);
+					assert.deepEqual(model.messages.testClientHash[0].vapid, expectedVapid ? expectedVapid : null);
+				} catch (err) {
+					assert.isTrue(typeof expectedError !== 'undefined', 'expectedError is not defined but exception is thrown');
+					assert.instanceOf(err, expectedError.type);
+					assert.match(err.message, expectedError.match);
+				}
+			});
+		});
+	});
+
+	describe('Maximum payload size', () => {
+		it('Defaults to 4096 bytes', () => {
+			const model = new PushApiModel();
+			model.maxPayloadSize.should.equal(4096);
+		});
+
+		it('Can be set via constructor', () => {
+			const model = new PushApiModel({maxPayloadSize: 8192});
+			model.maxPayloadSize.should.equal(8192);
+		});
+
+		const invalidSizes = [0, -1, 1.5, NaN, null, 'abc'];
+
+		invalidSizes.forEach(maxPayloadSize => {
+			it('Throws on invalid size ' + maxPayloadSize, () => {
+				assert.throws(() => new PushApiModel({maxPayloadSize}), RangeError, 'Maximum payload size is not a positive integer: ' + maxPayloadSize);
+			});
+		});
+
+		const input = [
+			{description: 'default maximum payload size', options: {}, size: 4097},
+			{description: 'custom maximum payload size', options: {maxPayloadSize: 100}, size: 101},
+		];
+
+		input.forEach(({description, options, size}) => {
+			it('Throws error for payload exceeding ' + description, async () => {
+				const model = new PushApiModel(options);
+				model.subscriptions.testClientHash = {some: 'data'};
+
+				try {
+					await model.handleNotification('testClientHash', {encoding: 'aes128gcm', ttl: 60}, Buffer.alloc(size));
+					assert.fail('Did not throw PayloadTooLargeError even though payload is too large');
+				} catch (err) {
+					assert.instanceOf(err, PayloadTooLargeError);
+					assert.equal(err.message, 'Payload size of ' + size + ' bytes exceeds maximum of ' + (size - 1) + ' bytes');
+				}
+			});
+		});
+	});
+
 	describe('Validate crypto', () => {
 		const input = [
 			{
@@ -243,6 +243,88 @@ describe('CLI Tests', () => {
 	it('should be able to run server with default values', startStopServerTest());
 	it('should be able to run server with -p flag', startStopServerTest(['-p', '8999']));
 	it('should be able to run server with --port flag', startStopServerTest(['--port', '8099']));
+	it('should be able to run server with --max-payload-size flag', startStopServerTest(['--max-payload-size', '8192']));
+
+	it('should pass subscription lifetime to server options', () => {
+		startLogging();
+		setArgv(['--subscription-lifetime', '3600', 'random']);
+
+		const cli = new WebPushTestingCli();
+		cli.serverOptions.subscriptionLifetime.should.equal(3600);
+		endLogging();
+	});
+
+	it('should pass clock tolerance to server options', () => {
+		startLogging();
+		setArgv(['--clock-tolerance', '30', 'random']);
+
+		const cli = new WebPushTestingCli();
+		cli.serverOptions.clockTolerance.should.equal(30);
+		endLogging();
+	});
+
+	it('should pass absolute data directory to server options', () => {
+		startLogging();
+		setArgv(['--data-dir', 'test-data', 'random']);
+
+		const cli = new WebPushTestingCli();
+		cli.serverOptions.dataDir.should.equal(path.resolve('test-data'));
+		endLogging();
+	});
+
+	it('should pass webhook URL to server options', () => {
+		startLogging();
+		setArgv(['--webhook', 'http://localhost:8080/hook', 'random']);
+
+		const cli = new WebPushTestingCli();
+		cli.serverOptions.webhookUrl.should.equal('http://localhost:8080/hook');
+		endLogging();
+	});
+
+	it('should pass rate limit to server options', () => {
+		startLogging();
+		setArgv(['--rate-limit', '10', '--rate-limit-window', '30', '--rate-limit-key', 'subscription', 'random']);
+
+		const cli = new WebPushTestingCli();
+		cli.serverOptions.rateLimit.should.deep.equal({burst: 10, window: 30, key: 'subscription'});
+		endLogging();
+	});
+
+	it('should pass latency to server options', () => {
+		startLogging();
+		setArgv(['--latency', '200', '--latency-jitter', '50', '--latency-subscribe', 'random']);
+
+		const cli = new WebPushTestingCli();
+		cli.serverOptions.latency.should.deep.equal({delay: 200, jitter: 50, subscribe: true});
+		endLogging();
+	});
+
+	it('should pass profile to server options', () => {
+		startLogging();
+		setArgv(['--profile', 'fcm', 'random']);
+
+		const cli = new WebPushTestingCli();
+		cli.serverOptions.profile.should.equal('fcm');
+		endLogging();
+	});
+
+	it('should pass server keys to server options', () => {
+		startLogging();
+		setArgv(['--server-key', 'firstKey', '--server-key', 'secondKey', 'random']);
+
+		const cli = new WebPushTestingCli();
+		cli.serverOptions.serverKeys.should.deep.equal(['firstKey', 'secondKey']);
+		endLogging();
+	});
+
+	it('should pass maximum payload size to server options', () => {
+		startLogging();
+		setArgv(['--max-payload-size', '8192', 'random']);
+
+		const cli = new WebPushTestingCli();
+		cli.serverOptions.maxPayloadSize.should.equal(8192);
+		endLogging();
+	});
 
 	it('should fail when trying to start server more than once', () => {
 		const port = 8090;
@@ -0,0 +1,109 @@
+/**
+ *
+ * This file is part of the web-push-testing package.
+ *
+ * @copyright (c) Marc Alexander <https://www.m-a-styles.de>
+ * Use of this source code is governed by an MIT-style
+ * license that can be found in the LICENSE file or at
+ * https://opensource.org/licenses/MIT.
+ *
+ */
+
+const {PROFILES, getErrorResponse} = require('../src/profiles');
+const {assert} = require('chai');
+
+describe('Push service profile tests', () => {
+	describe('Error responses', () => {
+		const err = new Error('Test error');
+		const fault = Object.assign(new Error('Injected fault with status 503'), {status: 503});
+		const input = [
+			{
+				profile: 'default',
+				type: 'expired',
+				expected: {status: 410, body: {reason: 'Push subscription has unsubscribed or expired.'}},
+			},
+			{
+				profile: 'default',
+				type: 'vapid',
+				expected: {status: 400, body: {error: {message: 'Test error'}}},
+			},
+			{
+				profile: 'fcm',
+				type: 'expired',
+				expected: {status: 410, body: {error: {code: 410, message: 'Test error', status: 'UNREGISTERED'}}},
+			},
+			{
+				profile: 'fcm',
+				type: 'vapid',
+				expected: {status: 403, body: {error: {code: 403, message: 'Test error', status: 'PERMISSION_DENIED'}}},
+			},
+			{
+				profile: 'autopush',
+				type: 'payloadTooLarge',
+				expected: {
+					status: 413,
+					body: {
+						code: 413,
+						errno: 104,
+						error: 'Payload Too Large',
+						message: 'Test error',
+						more_info: 'http://autopush.readthedocs.io/en/latest/http.html#error-codes', // eslint-disable-line camelcase
+					},
+				},
+			},
+			{
+				profile: 'autopush',
+				type: 'fault',
+				error: fault,
+				expected: {
+					status: 503,
+					body: {
+						code: 503,
+						errno: 999,
+						error: 'Service Unavailable',
+						message: 'Injected fault with status 503',
+						more_info: 'http://autopush.readthedocs.io/en/latest/http.html#error-codes', // eslint-disable-line camelcase
+					},
+				},
+			},
+			{
+				profile: 'apple',
+				type: 'notFound',
+				expected: {status: 400, body: {reason: 'BadDeviceToken'}},
+			},
+			{
+				profile: 'apple',
+				type: 'vapid',
+				expected: {status: 403, body: {reason: 'BadJwtToken'}},
+			},
+			{
+				profile: 'apple',
+				type: 'unauthorized',
+				expected: {status: 401, body: {reason: 'InvalidProviderToken'}},
+			},
+			{
+				profile: 'apple',
+				type: 'fault',
+				error: fault,
+				expected: {status: 503, body: {reason: 'ServiceUnavailable'}},
+			},
+			{
+				profile: 'edge',
+				type: 'rateLimited',
+				expected: {status: 406, headers: {'X-WNS-Error-Description': 'Test error'}},
+			},
+			{
+				profile: 'edge',
+				type: 'vapid',
+				error: new Error('Invalid VAPID audience claim: https://例え.jp'),
+				expected: {status: 401, headers: {'X-WNS-Error-Description': 'Invalid VAPID audience claim: https://??.jp'}},
+			},
+		];
+
+		input.forEach(({profile, type, error, expected}) => {
+			it('Should return ' + type + ' response of ' + profile + ' profile', () => {
+				assert.deepEqual(getErrorResponse(PROFILES[profile], type, error || err), expected);
+			});
+		});
+	});
+});
@@ -127,7 +127,7 @@ describe('Push Server tests', () => {
 				const model = new PushApiModel();
 				const testClientHash = 'testHash';
 				model.subscriptions[testClientHash] = {some: 'data'};
-				model.messages[testClientHash] = messages;
+				model.messages[testClientHash] = messages.map(payload => ({payload, urgency: 'normal'}));
 				const port = 8990;
 
 				const server = new WebPushTestingServer(model, port);
@@ -173,6 +173,236 @@ describe('Push Server tests', () => {
 		});
 	});
 
+	describe('Get detailed notifications from server', () => {
+		it('Should return message records', async () => {
+			const model = new PushApiModel();
+			const testClientHash = 'testHash';
+			model.subscriptions[testClientHash] = {some: 'data'};
+			model.storeMessage(testClientHash, {id: 'testId', payload: 'testMessage1', urgency: 'high', delivered: false});
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			await fetch('http://localhost:' + port + '/get-notifications', {
+				method: 'POST',
+				body: JSON.stringify({clientHash: testClientHash, detailed: true}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(async response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(200);
+				const responseBody = await response.json();
+				assert.deepEqual(responseBody.data.messages, [{id: 'testId', payload: 'testMessage1', urgency: 'high', delivered: true}]);
+			});
+		});
+	});
+
+	describe('Consume notifications from server', () => {
+		it('Should only return new messages after consuming', async () => {
+			const model = new PushApiModel();
+			const testClientHash = 'testHash';
+			model.subscriptions[testClientHash] = {some: 'data'};
+			model.storeMessage(testClientHash, {id: '1', payload: 'testMessage1', delivered: false});
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const consumeNotifications = () => fetch('http://localhost:' + port + '/get-notifications', {
+				method: 'POST',
+				body: JSON.stringify({clientHash: testClientHash, consume: true}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(response => {
+				response.status.should.equal(200);
+				return response.json();
+			}).then(responseBody => responseBody.data.messages);
+
+			assert.deepEqual(await consumeNotifications(), ['testMessage1']);
+			model.storeMessage(testClientHash, {id: '2', payload: 'testMessage2', delivered: false});
+			assert.deepEqual(await consumeNotifications(), ['testMessage2']);
+			assert.deepEqual(await consumeNotifications(), []);
+
+			server._server.close();
+			endLogging();
+		});
+	});
+
+	describe('Wait for notification via server', () => {
+		it('Should return next notification or time out', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {some: 'data'};
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const waitForNotification = timeout => fetch('http://localhost:' + port + '/wait-notification', {
+				method: 'POST',
+				body: JSON.stringify({clientHash: 'testHash', timeout}),
+				headers: {'Content-Type': 'application/json'},
+			});
+
+			const waitPromise = waitForNotification(2000);
+			await new Promise(resolve => {
+				setTimeout(resolve, 50);
+			});
+			await fetch('http://localhost:' + port + '/notify/testHash', {
+				method: 'POST',
+				headers: {TTL: 60, Topic: 'waited'},
+			});
+
+			await waitPromise.then(async response => {
+				response.status.should.equal(200);
+				const responseBody = await response.json();
+				responseBody.data.topic.should.equal('waited');
+			});
+
+			await waitForNotification(20).then(async response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(408);
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('No matching notification received before timeout');
+			});
+		});
+	});
+
+	describe('Stream events from server', () => {
+		it('Should send events for subscriptions, notifications & rejections', async () => {
+			const model = new PushApiModel();
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const abortController = new AbortController();
+			const eventResponse = await fetch('http://localhost:' + port + '/events', {signal: abortController.signal});
+			eventResponse.status.should.equal(200);
+			eventResponse.headers.get('Content-Type').should.equal('text/event-stream');
+
+			let streamData = '';
+			const eventsReceived = new Promise(resolve => {
+				eventResponse.body.on('data', chunk => {
+					streamData += chunk.toString();
+					if (streamData.includes('event: rejection')) {
+						resolve();
+					}
+				});
+			});
+
+			const {clientHash} = await fetch('http://localhost:' + port + '/subscribe', {
+				method: 'POST',
+				body: JSON.stringify({}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(response => response.json())
+				.then(responseBody => responseBody.data);
+
+			await fetch('http://localhost:' + port + '/notify/' + clientHash, {
+				method: 'POST',
+				headers: {TTL: 60, Topic: 'streamed'},
+			});
+
+			await fetch('http://localhost:' + port + '/notify/' + clientHash, {
+				method: 'POST',
+				headers: {TTL: 60, Urgency: 'urgent'},
+			});
+
+			await eventsReceived;
+			eventResponse.body.on('error', () => {});
+			abortController.abort();
+			await new Promise(resolve => {
+				const checkListeners = () => {
+					if (model.listenerCount('notification') === 0) {
+						resolve();
+					} else {
+						setTimeout(checkListeners, 10);
+					}
+				};
+
+				checkListeners();
+			});
+			server._server.close();
+			endLogging();
+
+			const events = streamData.split('\n\n')
+				.filter(event => event.startsWith('event: '))
+				.map(event => {
+					const [eventLine, dataLine] = event.split('\n');
+					return {event: eventLine.substring('event: '.length), data: JSON.parse(dataLine.substring('data: '.length))};
+				});
+
+			events.length.should.equal(3);
+			events[0].event.should.equal('subscription');
+			events[0].data.clientHash.should.equal(clientHash);
+			events[1].event.should.equal('notification');
+			events[1].data.clientHash.should.equal(clientHash);
+			events[1].data.message.topic.should.equal('streamed');
+			assert.deepEqual(events[2], {
+				event: 'rejection',
+				data: {clientHash, reason: 'Urgency header is invalid: urgent'},
+			});
+			model.listenerCount('subscription').should.equal(0);
+			model.listenerCount('notificationRejected').should.equal(0);
+		});
+
+		it('Should send events to many concurrent clients without listener warning', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {some: 'data'};
+			const port = 8990;
+			const warnings = [];
+			const onWarning = warning => warnings.push(warning);
+			process.on('warning', onWarning);
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const abortControllers = Array.from({length: 12}, () => new AbortController());
+			const eventResponses = await Promise.all(abortControllers.map(abortController => fetch('http://localhost:' + port + '/events', {signal: abortController.signal})));
+			const eventsReceived = eventResponses.map(eventResponse => new Promise(resolve => {
+				let streamData = '';
+				eventResponse.body.on('data', chunk => {
+					streamData += chunk.toString();
+					if (streamData.includes('event: notification')) {
+						resolve();
+					}
+				});
+			}));
+
+			await fetch('http://localhost:' + port + '/notify/testHash', {
+				method: 'POST',
+				headers: {TTL: 60},
+			});
+
+			await Promise.all(eventsReceived);
+			eventResponses.forEach(eventResponse => eventResponse.body.on('error', () => {}));
+			abortControllers.forEach(abortController => abortController.abort());
+			await new Promise(resolve => {
+				const checkListeners = () => {
+					if (model.listenerCount('notification') === 0) {
+						resolve();
+					} else {
+						setTimeout(checkListeners, 10);
+					}
+				};
+
+				checkListeners();
+			});
+			process.off('warning', onWarning);
+			server._server.close();
+			endLogging();
+
+			warnings.length.should.equal(0);
+			model.listenerCount('subscription').should.equal(0);
+			model.listenerCount('notificationRejected').should.equal(0);
+		});
+	});
+
 	describe('Subscribe via server', () => {
 		const input = [
 			{
@@ -231,7 +461,7 @@ describe('Push Server tests', () => {
 						if (success) {
 							const responseBody = await response.json();
 							assert.hasAnyKeys(responseBody, ['data']);
-							assert.hasAllKeys(responseBody.data, ['endpoint', 'keys', 'clientHash']); // ClientHash added for convenience
+							assert.hasAllKeys(responseBody.data, ['endpoint', 'expirationTime', 'keys', 'clientHash']); // ClientHash added for convenience
 							assert.hasAllKeys(responseBody.data.keys, ['p256dh', 'auth']);
 							assert.lengthOf(model.base64UrlDecode(responseBody.data.keys.auth), 16); // Auth must be 16 characters
 						}
@@ -322,85 +552,1022 @@ describe('Push Server tests', () => {
 		});
 	});
 
-	describe('Send notifications', () => {
+	describe('Send payload-less notification', () => {
+		it('Should return 201', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {some: 'data'};
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			await fetch('http://localhost:' + port + '/notify/testHash', {
+				method: 'POST',
+				headers: {TTL: 60},
+			}).then(() => model.getNotifications({clientHash: 'testHash', detailed: true}))
+				.then(notificationData => {
+					server._server.close();
+					endLogging();
+					notificationData.messages.length.should.equal(1);
+					notificationData.messages[0].payload.should.equal('');
+					notificationData.messages[0].hasPayload.should.equal(false);
+				});
+		});
+
 		const input = [
-			{
-				description: 'Successful notification with aesgcm',
-				encoding: 'aesgcm',
-				sendAuthorization: true,
-				expectedStatus: 201,
-			},
-			{
-				description: 'Successful notification with aes128gcm',
-				encoding: 'aes128gcm',
-				sendAuthorization: true,
-				expectedStatus: 201,
-			},
-			{
-				description: 'Expired notification with aes128gcm',
-				encoding: 'aes128gcm',
-				sendAuthorization: true,
-				expectedStatus: 410,
-				expectedError: 'Push subscription has unsubscribed or expired.',
-			},
-			{
-				description: 'Unsuccessful notification with wrong encoding',
-				encoding: 'wrong',
-				sendAuthorization: true,
-				expectedStatus: 400,
-				expectedError: 'Unsupported encoding',
-			},
-			{
-				description: 'Unsuccessful notification with invalid authentication header',
-				encoding: 'aesgcm',
-				sendAuthorization: false,
-				expectedStatus: 400,
-				expectedError: 'Missing or invalid authorization header',
-			},
+			{contentType: 'text/plain', body: 'test'},
+			{contentType: 'application/json', body: JSON.stringify({test: 'data'})},
+			{contentType: 'application/x-www-form-urlencoded', body: 'test=data'},
+			{contentType: 'application/octet-stream', body: Buffer.from('test')},
 		];
 
-		input.forEach(({description, encoding, sendAuthorization, expectedStatus, expectedError}) => {
-			it(description, async () => {
+		input.forEach(({contentType, body}) => {
+			it('Should return 400 for ' + contentType + ' body without encoding', async () => {
 				const model = new PushApiModel();
-				const testClientHash = encoding !== 'aesgcm' && encoding !== 'aes128gcm' ? 'aesgcm' : encoding;
-				const aesgcmSubscriptionPrivateKey = 'zs96vCXedR-vvXDsGLQJXeus2Ui2InrWQM1w0bh8O90';
-				const aes128gcmSubscriptionPublicKey = 'BLFs1fhFLaLQ1VUOsQ0gqysdZUigBkR729fgFLO99fTNRr9BJPY02JyOSXVqoPOYkG-nzNu83EEzpmeJgphXCoM';
-				const aes128gcmSubscriptionPrivateKey = 'PSQe0Tyal7mYQxSWEB8PDE-03rhXabdWqIRPA28oczo';
-				const applicationServerKey = 'BJxKEp-nlH4ezWmgipyizTbPGOB6jQIuARETjLNp5wxSbnyzJ6NRgolhMy4CVThCAc1H6l_UC38nkBqcLcQx96c';
-				const applicationServerPrivateKey = 'A8PXqnFU9XeF609Y2CsfFMnFCakCaPkCMrifvj2a3KY';
+				model.subscriptions.testHash = {some: 'data'};
+				const port = 8990;
 
-				const ecdh = crypto.createECDH('prime256v1');
-				ecdh.setPrivateKey(model.base64UrlDecode(encoding === 'aesgcm' ? aesgcmSubscriptionPrivateKey : aes128gcmSubscriptionPrivateKey));
-				model.subscriptions = {
-					aesgcm: {
-						applicationServerKey,
-						publicKey: 'BIanZceKFE49T82cl2HUWK_vLQPVQPq5eZHP7y0zLWP1qDjlWe7Vx7XS8qetnPOJTZyZJrV26FST20e6CvThcmc',
-						subscriptionDh: ecdh,
-						auth: 'kZTCk82psaREuK7YOM5mHA',
-					},
-					aes128gcm: {
-						applicationServerKey,
-						publicKey: aes128gcmSubscriptionPublicKey,
-						subscriptionDh: ecdh,
-						auth: 'PST6Fru-E4BwgZ-WfuoLEA',
+				const server = new WebPushTestingServer(model, port);
+				startLogging();
+				server.startServer();
+
+				await fetch('http://localhost:' + port + '/notify/testHash', {
+					method: 'POST',
+					headers: {
+						'Content-Type': contentType,
+						TTL: 60,
 					},
-				};
-				const salt = '8PYlFauOPQaDkW9QKINEjg';
-				const testLocalPublickey = 'BP_jupWySFrZB4vAqGmEJ9ZLlfLpg1fnP0SgBLmkx_e4sWe3b719Q_oh8FXe2nnTER0rmCJvUd6xmVNzUXMoLJQ';
-				const vapidHeaders = webPush.getVapidHeaders(
-					'http://localhost',
-					'https://test.com',
-					applicationServerKey,
-					applicationServerPrivateKey,
-					testClientHash,
-				);
+					body,
+				}).then(async response => {
+					server._server.close();
+					endLogging();
+					response.status.should.equal(400);
+					const responseBody = await response.json();
+					responseBody.error.message.should.equal('Unsupported encoding');
+					assert.isUndefined(model.messages.testHash);
+				});
+			});
+		});
+	});
 
-				// Create WebPush Authorization header
-				const pushHeaders = {
-					Authorization: sendAuthorization ? vapidHeaders.Authorization : '',
+	describe('Send notification with respond-async preference', () => {
+		it('Should return 202', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {some: 'data'};
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			await fetch('http://localhost:' + port + '/notify/testHash', {
+				method: 'POST',
+				headers: {
 					TTL: 60,
-					'Content-Type': 'application/octet-stream',
-				};
+					Prefer: 'respond-async',
+					'Push-Receipt': 'http://localhost:8991/receipt',
+				},
+			}).then(response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(202);
+				model.messages.testHash[0].receiptUrl.should.equal('http://localhost:8991/receipt');
+			});
+		});
+	});
+
+	describe('Message resources', () => {
+		it('Should not return Location header for dropped message with TTL of 0', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {some: 'data'};
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			await fetch('http://localhost:' + port + '/notify/testHash', {
+				method: 'POST',
+				headers: {TTL: 0},
+			}).then(response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(201);
+				assert.isNull(response.headers.get('Location'));
+			});
+		});
+
+		it('Should return Location header and allow getting & deleting message', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {some: 'data'};
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const sendNotification = () => fetch('http://localhost:' + port + '/notify/testHash', {
+				method: 'POST',
+				headers: {TTL: 60, Topic: 'news'},
+			}).then(response => {
+				response.status.should.equal(201);
+				response.headers.get('Location').should.match(/^\/message\/[\w-]+$/);
+				return 'http://localhost:' + port + response.headers.get('Location');
+			});
+
+			const messageUrl = await sendNotification();
+
+			await fetch(messageUrl).then(async response => {
+				response.status.should.equal(200);
+				const responseBody = await response.json();
+				responseBody.data.topic.should.equal('news');
+				responseBody.data.delivered.should.equal(false);
+			});
+
+			await fetch(messageUrl, {method: 'DELETE'}).then(response => {
+				response.status.should.equal(204);
+			});
+
+			await fetch(messageUrl).then(async response => {
+				response.status.should.equal(404);
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Message with specified ID does not exist');
+			});
+
+			const deliveredMessageUrl = await sendNotification();
+			model.getNotifications({clientHash: 'testHash'});
+
+			await fetch(deliveredMessageUrl, {method: 'DELETE'}).then(async response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(400);
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Message has already been delivered');
+			});
+		});
+	});
+
+	describe('Send oversized notification', () => {
+		it('Should return 413', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {some: 'data'};
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			await fetch('http://localhost:' + port + '/notify/testHash', {
+				method: 'POST',
+				headers: {
+					'Content-Encoding': 'aes128gcm',
+					'Content-Type': 'application/octet-stream',
+					TTL: 60,
+				},
+				body: Buffer.alloc(4097),
+			}).then(async response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(413);
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Payload size of 4097 bytes exceeds maximum of 4096 bytes');
+			});
+		});
+
+		it('Should return 413 in profile format if body exceeds body parser limit', async () => {
+			const model = new PushApiModel();
+			model.subscriptions.testHash = {some: 'data', profile: 'fcm'};
+			const port = 8990;
+			const rejected = [];
+			model.on('notificationRejected', (clientHash, err) => rejected.push({clientHash, err}));
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			await fetch('http://localhost:' + port + '/fcm/send/testHash', {
+				method: 'POST',
+				headers: {
+					'Content-Encoding': 'aes128gcm',
+					'Content-Type': 'application/octet-stream',
+					TTL: 60,
+				},
+				body: Buffer.alloc(102401),
+			}).then(async response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(413);
+				const responseBody = await response.json();
+				responseBody.should.deep.equal({
+					error: {
+						code: 413,
+						message: 'Payload size of 102401 bytes exceeds maximum of 4096 bytes',
+						status: 'INVALID_ARGUMENT',
+					},
+				});
+				rejected.length.should.equal(1);
+				rejected[0].clientHash.should.equal('testHash');
+				rejected[0].err.name.should.equal('PayloadTooLargeError');
+			});
+		});
+	});
+
+	describe('Send notification to edge subscription', () => {
+		it('Should return error description header for non-ASCII error message', async () => {
+			const model = new PushApiModel();
+			const applicationServerKey = 'BJxKEp-nlH4ezWmgipyizTbPGOB6jQIuARETjLNp5wxSbnyzJ6NRgolhMy4CVThCAc1H6l_UC38nkBqcLcQx96c';
+			model.subscriptions.testHash = {applicationServerKey, profile: 'edge'};
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const vapidHeaders = webPush.getVapidHeaders(
+				'https://例え.jp',
+				'https://test.com',
+				applicationServerKey,
+				'A8PXqnFU9XeF609Y2CsfFMnFCakCaPkCMrifvj2a3KY',
+				'aes128gcm',
+			);
+
+			await fetch('http://localhost:' + port + '/wns/w/testHash', {
+				method: 'POST',
+				headers: {TTL: 60, Authorization: vapidHeaders.Authorization},
+			}).then(response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(401);
+				response.headers.get('X-WNS-Error-Description').should.equal('Invalid VAPID audience claim: https://??.jp');
+			});
+		});
+	});
+
+	describe('Subscription with lifetime', () => {
+		it('Should return 410 once expiration time has passed', async () => {
+			const model = new PushApiModel();
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const subscription = await fetch('http://localhost:' + port + '/subscribe', {
+				method: 'POST',
+				body: JSON.stringify({lifetime: 60}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(response => response.json())
+				.then(responseBody => responseBody.data);
+
+			assert.isNumber(subscription.expirationTime);
+			model.subscriptions[subscription.clientHash].expirationTime = Date.now() - 1;
+
+			await fetch(subscription.endpoint, {
+				method: 'POST',
+				headers: {TTL: 60},
+			}).then(response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(410);
+			});
+		});
+	});
+
+	describe('Rotate subscription', () => {
+		it('Should return old and new subscription and expire old endpoint', async () => {
+			const model = new PushApiModel();
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const subscription = await fetch('http://localhost:' + port + '/subscribe', {
+				method: 'POST',
+				body: JSON.stringify({}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(response => response.json())
+				.then(responseBody => responseBody.data);
+
+			const subscriptionChangeData = await fetch('http://localhost:' + port + '/rotate-subscription/' + subscription.clientHash, {
+				method: 'POST',
+			}).then(response => {
+				response.status.should.equal(200);
+				return response.json();
+			}).then(responseBody => responseBody.data);
+
+			assert.deepEqual(subscriptionChangeData.oldSubscription, subscription);
+			subscriptionChangeData.newSubscription.endpoint.should.not.equal(subscription.endpoint);
+
+			await fetch(subscription.endpoint, {
+				method: 'POST',
+				headers: {TTL: 60},
+			}).then(response => {
+				response.status.should.equal(410);
+			});
+
+			await fetch(subscriptionChangeData.newSubscription.endpoint, {
+				method: 'POST',
+				headers: {TTL: 60},
+			}).then(response => {
+				response.status.should.equal(201);
+			});
+
+			await fetch('http://localhost:' + port + '/rotate-subscription/doesNotExist', {
+				method: 'POST',
+			}).then(async response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(400);
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Subscription with specified client hash does not exist');
+			});
+		});
+	});
+
+	describe('Unsubscribe subscription', () => {
+		it('Should return 404 for notifications after unsubscribing', async () => {
+			const model = new PushApiModel();
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const {clientHash} = await fetch('http://localhost:' + port + '/subscribe', {
+				method: 'POST',
+				body: JSON.stringify({}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(response => response.json())
+				.then(responseBody => responseBody.data);
+
+			await fetch('http://localhost:' + port + '/unsubscribe/' + clientHash, {
+				method: 'POST',
+			}).then(response => {
+				response.status.should.equal(200);
+			});
+
+			await fetch('http://localhost:' + port + '/notify/' + clientHash, {
+				method: 'POST',
+				headers: {TTL: 60},
+			}).then(async response => {
+				response.status.should.equal(404);
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Client not subscribed');
+			});
+
+			await fetch('http://localhost:' + port + '/unsubscribe/' + clientHash, {
+				method: 'POST',
+			}).then(async response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(400);
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Subscription with specified client hash does not exist');
+			});
+		});
+	});
+
+	describe('Set webhook via server', () => {
+		it('Should set webhook or return 400', async () => {
+			const model = new PushApiModel();
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const {clientHash} = await fetch('http://localhost:' + port + '/subscribe', {
+				method: 'POST',
+				body: JSON.stringify({}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(response => response.json())
+				.then(responseBody => responseBody.data);
+
+			await fetch('http://localhost:' + port + '/webhook', {
+				method: 'POST',
+				body: JSON.stringify({url: 'http://localhost:8080/hook', clientHash}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(response => {
+				response.status.should.equal(200);
+				model.subscriptions[clientHash].webhookUrl.should.equal('http://localhost:8080/hook');
+			});
+
+			await fetch('http://localhost:' + port + '/webhook', {
+				method: 'POST',
+				body: JSON.stringify({clientHash}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(response => {
+				response.status.should.equal(200);
+				assert.isNull(model.subscriptions[clientHash].webhookUrl);
+			});
+
+			await fetch('http://localhost:' + port + '/webhook', {
+				method: 'POST',
+				body: JSON.stringify({url: 'invalid'}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(async response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(400);
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Invalid webhook URL: invalid');
+			});
+		});
+	});
+
+	describe('Inject faults via server', () => {
+		it('Should return injected status until faults are used up or cleared', async () => {
+			const model = new PushApiModel();
+			const port = 8990;
+			model.subscriptions.testHash = {some: 'data'};
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const sendNotification = () => fetch('http://localhost:' + port + '/notify/testHash', {
+				method: 'POST',
+				headers: {TTL: 60},
+			});
+			const injectFault = options => fetch('http://localhost:' + port + '/inject-fault', {
+				method: 'POST',
+				body: JSON.stringify(options),
+				headers: {'Content-Type': 'application/json'},
+			});
+
+			await injectFault({status: 418}).then(async response => {
+				response.status.should.equal(400);
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Invalid fault status: 418');
+			});
+
+			await injectFault({status: 429, retryAfter: 10, clientHash: 'testHash'}).then(response => {
+				response.status.should.equal(200);
+			});
+			await sendNotification().then(async response => {
+				response.status.should.equal(429);
+				response.headers.get('Retry-After').should.equal('10');
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Injected fault with status 429');
+			});
+			await sendNotification().then(response => {
+				response.status.should.equal(201);
+			});
+
+			await injectFault({status: 503, probability: 1}).then(response => {
+				response.status.should.equal(200);
+			});
+			await sendNotification().then(response => {
+				response.status.should.equal(503);
+				assert.isNull(response.headers.get('Retry-After'));
+			});
+			await fetch('http://localhost:' + port + '/clear-faults', {
+				method: 'POST',
+			}).then(response => {
+				response.status.should.equal(200);
+			});
+			await sendNotification().then(response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(201);
+			});
+		});
+	});
+
+	describe('Rate limit via server', () => {
+		it('Should return 429 with Retry-After header once limit is exceeded', async () => {
+			const model = new PushApiModel();
+			const port = 8990;
+			model.subscriptions.testHash = {some: 'data'};
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const sendNotification = () => fetch('http://localhost:' + port + '/notify/testHash', {
+				method: 'POST',
+				headers: {TTL: 60},
+			});
+			const setRateLimit = options => fetch('http://localhost:' + port + '/rate-limit', {
+				method: 'POST',
+				body: JSON.stringify(options),
+				headers: {'Content-Type': 'application/json'},
+			});
+
+			await setRateLimit({burst: 1, key: 'invalid'}).then(async response => {
+				response.status.should.equal(400);
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Rate limit key must be one of: vapid, subscription');
+			});
+
+			await setRateLimit({burst: 1, window: 30}).then(response => {
+				response.status.should.equal(200);
+			});
+			await sendNotification().then(response => {
+				response.status.should.equal(201);
+			});
+			await sendNotification().then(async response => {
+				response.status.should.equal(429);
+				response.headers.get('Retry-After').should.equal('30');
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Rate limit exceeded');
+			});
+
+			await setRateLimit({}).then(response => {
+				response.status.should.equal(200);
+			});
+			await sendNotification().then(response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(201);
+			});
+		});
+	});
+
+	describe('Latency via server', () => {
+		it('Should delay responses of push endpoint', async () => {
+			const model = new PushApiModel();
+			const port = 8990;
+			model.subscriptions.testHash = {some: 'data'};
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const setLatency = options => fetch('http://localhost:' + port + '/latency', {
+				method: 'POST',
+				body: JSON.stringify(options),
+				headers: {'Content-Type': 'application/json'},
+			});
+
+			await setLatency({delay: 'slow'}).then(async response => {
+				response.status.should.equal(400);
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Latency delay & jitter must be non-negative integers');
+			});
+
+			await setLatency({delay: 200, clientHash: 'testHash'}).then(response => {
+				response.status.should.equal(200);
+			});
+			const start = Date.now();
+			await fetch('http://localhost:' + port + '/notify/testHash', {
+				method: 'POST',
+				headers: {TTL: 60},
+			}).then(response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(201);
+				(Date.now() - start).should.be.at.least(195);
+			});
+		});
+	});
+
+	describe('Push service profiles via server', () => {
+		it('Should return endpoints and errors according to profile', async () => {
+			const model = new PushApiModel();
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const {clientHash, endpoint} = await fetch('http://localhost:' + port + '/subscribe', {
+				method: 'POST',
+				body: JSON.stringify({profile: 'autopush'}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(response => response.json())
+				.then(responseBody => responseBody.data);
+			endpoint.should.equal('http://localhost:' + port + '/wpush/v2/' + clientHash);
+
+			await fetch(endpoint, {
+				method: 'POST',
+				headers: {TTL: 60},
+			}).then(response => {
+				response.status.should.equal(201);
+			});
+
+			model.expireSubscription(clientHash);
+			await fetch(endpoint, {
+				method: 'POST',
+				headers: {TTL: 60},
+			}).then(async response => {
+				response.status.should.equal(410);
+				const responseBody = await response.json();
+				responseBody.errno.should.equal(103);
+				responseBody.error.should.equal('Gone');
+				responseBody.message.should.equal('Subscription expired');
+			});
+
+			await fetch('http://localhost:' + port + '/wpush/v2/unknownHash', {
+				method: 'POST',
+				headers: {TTL: 60},
+			}).then(async response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(404);
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Client not subscribed');
+			});
+		});
+	});
+
+	describe('Legacy server key authorization via server', () => {
+		it('Should return 400 on missing and 401 on invalid server key', async () => {
+			const model = new PushApiModel();
+			const port = 8990;
+			model.subscriptions.testHash = {some: 'data'};
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const sendNotification = headers => fetch('http://localhost:' + port + '/notify/testHash', {
+				method: 'POST',
+				headers: {TTL: 60, ...headers},
+			});
+
+			await fetch('http://localhost:' + port + '/server-key', {
+				method: 'POST',
+				body: JSON.stringify({key: 'testKey'}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(response => {
+				response.status.should.equal(200);
+			});
+
+			await sendNotification({}).then(async response => {
+				response.status.should.equal(400);
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Missing server key in Authorization header');
+			});
+			await sendNotification({Authorization: 'key=wrongKey'}).then(async response => {
+				response.status.should.equal(401);
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Invalid server key');
+			});
+			await sendNotification({Authorization: 'key=testKey'}).then(response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(201);
+			});
+		});
+	});
+
+	describe('List and inspect subscriptions via server', () => {
+		it('Should return subscriptions or 404 for unknown subscription', async () => {
+			const model = new PushApiModel();
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const {clientHash, endpoint} = await fetch('http://localhost:' + port + '/subscribe', {
+				method: 'POST',
+				body: JSON.stringify({}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(response => response.json())
+				.then(responseBody => responseBody.data);
+
+			await fetch('http://localhost:' + port + '/subscriptions').then(async response => {
+				response.status.should.equal(200);
+				const responseBody = await response.json();
+				responseBody.data.length.should.equal(1);
+				responseBody.data[0].clientHash.should.equal(clientHash);
+				responseBody.data[0].endpoint.should.equal(endpoint);
+				responseBody.data[0].messageCount.should.equal(0);
+			});
+
+			await fetch('http://localhost:' + port + '/subscriptions/' + clientHash).then(async response => {
+				response.status.should.equal(200);
+				const responseBody = await response.json();
+				responseBody.data.clientHash.should.equal(clientHash);
+				assert.deepEqual(responseBody.data.messages, []);
+			});
+
+			await fetch('http://localhost:' + port + '/subscriptions/unknownHash').then(async response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(404);
+				const responseBody = await response.json();
+				responseBody.error.message.should.equal('Client not subscribed');
+			});
+		});
+	});
+
+	describe('Reset via server', () => {
+		it('Should clear messages and optionally subscriptions', async () => {
+			const model = new PushApiModel();
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const {clientHash} = await fetch('http://localhost:' + port + '/subscribe', {
+				method: 'POST',
+				body: JSON.stringify({}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(response => response.json())
+				.then(responseBody => responseBody.data);
+			model.storeMessage(clientHash, {payload: 'first', delivered: false});
+
+			await fetch('http://localhost:' + port + '/reset', {
+				method: 'POST',
+				body: JSON.stringify({keepSubscriptions: true}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(response => {
+				response.status.should.equal(200);
+				assert.hasAllKeys(model.subscriptions, [clientHash]);
+				assert.deepEqual(model.messages, {});
+			});
+
+			await fetch('http://localhost:' + port + '/reset', {
+				method: 'POST',
+			}).then(response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(200);
+				assert.deepEqual(model.subscriptions, {});
+			});
+		});
+	});
+
+	describe('Namespaces via server', () => {
+		it('Should scope subscriptions to namespace of header or path prefix', async () => {
+			const model = new PushApiModel();
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const {clientHash, endpoint} = await fetch('http://localhost:' + port + '/subscribe', {
+				method: 'POST',
+				body: JSON.stringify({}),
+				headers: {'Content-Type': 'application/json', 'X-Namespace': 'shard-1'},
+			}).then(response => response.json())
+				.then(responseBody => responseBody.data);
+			endpoint.should.equal('http://localhost:' + port + '/ns/shard-1/notify/' + clientHash);
+
+			await fetch(endpoint, {
+				method: 'POST',
+				headers: {TTL: 60},
+			}).then(response => {
+				response.status.should.equal(201);
+			});
+			await fetch('http://localhost:' + port + '/ns/shard-2/notify/' + clientHash, {
+				method: 'POST',
+				headers: {TTL: 60},
+			}).then(response => {
+				response.status.should.equal(404);
+			});
+
+			await fetch('http://localhost:' + port + '/ns/shard-2/subscriptions').then(async response => {
+				const responseBody = await response.json();
+				assert.deepEqual(responseBody.data, []);
+			});
+			await fetch('http://localhost:' + port + '/ns/shard-2/get-notifications', {
+				method: 'POST',
+				body: JSON.stringify({clientHash}),
+				headers: {'Content-Type': 'application/json'},
+			}).then(response => {
+				response.status.should.equal(400);
+			});
+			await fetch('http://localhost:' + port + '/ns/shard-2/reset', {
+				method: 'POST',
+			}).then(response => {
+				response.status.should.equal(200);
+				assert.hasAllKeys(model.subscriptions, [clientHash]);
+			});
+
+			await fetch('http://localhost:' + port + '/get-notifications', {
+				method: 'POST',
+				body: JSON.stringify({clientHash}),
+				headers: {'Content-Type': 'application/json', 'X-Namespace': 'shard-1'},
+			}).then(async response => {
+				server._server.close();
+				endLogging();
+				response.status.should.equal(200);
+				const responseBody = await response.json();
+				responseBody.data.messages.length.should.equal(1);
+			});
+		});
+	});
+
+	describe('Cross-namespace requests via server', () => {
+		it('Should not find subscriptions of other namespaces', async () => {
+			const model = new PushApiModel();
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const {clientHash} = await fetch('http://localhost:' + port + '/subscribe', {
+				method: 'POST',
+				body: JSON.stringify({}),
+				headers: {'Content-Type': 'application/json', 'X-Namespace': 'shardA'},
+			}).then(response => response.json())
+				.then(responseBody => responseBody.data);
+			const message = await model.handleNotification(clientHash, {ttl: 60}, Buffer.alloc(0));
+			model.injectFault({status: 503, probability: 1});
+			model.injectFault({status: 502, probability: 1, clientHash});
+			model.setRateLimit({burst: 10});
+
+			const input = [
+				{path: '/unsubscribe/' + clientHash, status: 400, errorMessage: 'Subscription with specified client hash does not exist'},
+				{path: '/expire-subscription/' + clientHash, status: 400, errorMessage: 'Subscription with specified client hash does not exist'},
+				{path: '/rotate-subscription/' + clientHash, status: 400, errorMessage: 'Subscription with specified client hash does not exist'},
+				{path: '/wait-notification', body: {clientHash, timeout: 100}, status: 400, errorMessage: 'Client not subscribed'},
+				{path: '/webhook', body: {url: 'http://localhost:8080/hook', clientHash}, status: 400, errorMessage: 'Subscription with specified client hash does not exist'},
+				{path: '/webhook', body: {url: 'http://localhost:8080/hook'}, status: 400, errorMessage: 'Parameter clientHash is required within namespace'},
+				{path: '/inject-fault', body: {status: 500, clientHash}, status: 400, errorMessage: 'Subscription with specified client hash does not exist'},
+				{path: '/inject-fault', body: {status: 500}, status: 400, errorMessage: 'Parameter clientHash is required within namespace'},
+				{path: '/clear-faults', body: {clientHash}, status: 400, errorMessage: 'Subscription with specified client hash does not exist'},
+				{path: '/clear-faults', status: 400, errorMessage: 'Parameter clientHash is required within namespace'},
+				{path: '/rate-limit', status: 400, errorMessage: 'Rate limit can not be set within namespace'},
+				{path: '/server-key', body: {key: 'testKey'}, status: 400, errorMessage: 'Server keys can not be added within namespace'},
+				{path: '/latency', body: {delay: 100, clientHash}, status: 400, errorMessage: 'Subscription with specified client hash does not exist'},
+				{path: '/latency', body: {delay: 100}, status: 400, errorMessage: 'Parameter clientHash is required within namespace'},
+				{path: '/message/' + message.id, method: 'GET', status: 404, errorMessage: 'Message with specified ID does not exist'},
+				{path: '/message/' + message.id, method: 'DELETE', status: 404, errorMessage: 'Message with specified ID does not exist'},
+			];
+
+			for (const {path, method, body, status, errorMessage} of input) {
+				// eslint-disable-next-line no-await-in-loop
+				await fetch('http://localhost:' + port + path, {
+					method: typeof method === 'undefined' ? 'POST' : method,
+					body: typeof body === 'undefined' ? undefined : JSON.stringify(body),
+					headers: {'Content-Type': 'application/json', 'X-Namespace': 'shardB'},
+				}).then(async response => {
+					response.status.should.equal(status, path);
+					const responseBody = await response.json();
+					responseBody.error.message.should.equal(errorMessage, path);
+				});
+			}
+
+			server._server.close();
+			endLogging();
+			assert.hasAllKeys(model.subscriptions, [clientHash]);
+			assert.isFalse(model.isSubscriptionExpired(clientHash));
+			assert.isNull(model.webhookUrl);
+			model.globalFault.status.should.equal(503);
+			assert.hasAllKeys(model.faults, [clientHash]);
+			model.faults[clientHash].status.should.equal(502);
+			assert.deepEqual(model.latency, {notify: null, subscribe: null});
+			assert.deepEqual(model.rateLimit, {burst: 10, window: 60, key: 'vapid'});
+			assert.deepEqual(model.serverKeys, []);
+			model.messages[clientHash].length.should.equal(1);
+		});
+
+		it('Should only stream events of namespace', async () => {
+			const model = new PushApiModel();
+			const port = 8990;
+
+			const server = new WebPushTestingServer(model, port);
+			startLogging();
+			server.startServer();
+
+			const abortController = new AbortController();
+			const eventResponse = await fetch('http://localhost:' + port + '/ns/shardB/events', {signal: abortController.signal});
+			let streamData = '';
+			const eventsReceived = new Promise(resolve => {
+				eventResponse.body.on('data', chunk => {
+					streamData += chunk.toString();
+					if (streamData.includes('event: notification')) {
+						resolve();
+					}
+				});
+			});
+
+			const subscribe = namespace => fetch('http://localhost:' + port + '/subscribe', {
+				method: 'POST',
+				body: JSON.stringify({}),
+				headers: {'Content-Type': 'application/json', 'X-Namespace': namespace},
+			}).then(response => response.json())
+				.then(responseBody => responseBody.data);
+
+			const otherSubscription = await subscribe('shardA');
+			await fetch(otherSubscription.endpoint, {method: 'POST', headers: {TTL: 60}});
+			const ownSubscription = await subscribe('shardB');
+			await fetch(ownSubscription.endpoint, {method: 'POST', headers: {TTL: 60}});
+
+			await eventsReceived;
+			eventResponse.body.on('error', () => {});
+			abortController.abort();
+			await new Promise(resolve => {
+				const checkListeners = () => {
+					if (model.listenerCount('notification') === 0) {
+						resolve();
+					} else {
+						setTimeout(checkListeners, 10);
+					}
+				};
+
+				checkListeners();
+			});
+			server._server.close();
+			endLogging();
+
+			streamData.should.not.include(otherSubscription.clientHash);
+			streamData.should.include('event: subscription');
+			streamData.should.include(ownSubscription.clientHash);
+		});
+	});
+
+	describe('Send notifications', () => {
+		const input = [
+			{
+				description: 'Successful notification with aesgcm',
+				encoding: 'aesgcm',
+				sendAuthorization: true,
+				expectedStatus: 201,
+			},
+			{
+				description: 'Successful notification with aes128gcm',
+				encoding: 'aes128gcm',
+				sendAuthorization: true,
+				expectedStatus: 201,
+			},
+			{
+				description: 'Expired notification with aes128gcm',
+				encoding: 'aes128gcm',
+				sendAuthorization: true,
+				expectedStatus: 410,
+				expectedError: 'Push subscription has unsubscribed or expired.',
+			},
+			{
+				description: 'Unsuccessful notification with wrong encoding',
+				encoding: 'wrong',
+				sendAuthorization: true,
+				expectedStatus: 400,
+				expectedError: 'Unsupported encoding',
+			},
+			{
+				description: 'Unsuccessful notification with invalid authentication header',
+				encoding: 'aesgcm',
+				sendAuthorization: false,
+				expectedStatus: 400,
+				expectedError: 'Missing or invalid authorization header',
+			},
+			{
+				description: 'Unsuccessful notification with invalid urgency',
+				encoding: 'aes128gcm',
+				sendAuthorization: true,
+				urgency: 'urgent',
+				expectedStatus: 400,
+				expectedError: 'Urgency header is invalid: urgent',
+			},
+		];
+
+		input.forEach(({description, encoding, sendAuthorization, urgency, expectedStatus, expectedError}) => {
+			it(description, async () => {
+				const model = new PushApiModel();
+				const testClientHash = encoding !== 'aesgcm' && encoding !== 'aes128gcm' ? 'aesgcm' : encoding;
+				const aesgcmSubscriptionPrivateKey = 'zs96vCXedR-vvXDsGLQJXeus2Ui2InrWQM1w0bh8O90';
+				const aes128gcmSubscriptionPublicKey = 'BLFs1fhFLaLQ1VUOsQ0gqysdZUigBkR729fgFLO99fTNRr9BJPY02JyOSXVqoPOYkG-nzNu83EEzpmeJgphXCoM';
+				const aes128gcmSubscriptionPrivateKey = 'PSQe0Tyal7mYQxSWEB8PDE-03rhXabdWqIRPA28oczo';
+				const applicationServerKey = 'BJxKEp-nlH4ezWmgipyizTbPGOB6jQIuARETjLNp5wxSbnyzJ6NRgolhMy4CVThCAc1H6l_UC38nkBqcLcQx96c';
+				const applicationServerPrivateKey = 'A8PXqnFU9XeF609Y2CsfFMnFCakCaPkCMrifvj2a3KY';
+
+				const ecdh = crypto.createECDH('prime256v1');
+				ecdh.setPrivateKey(model.base64UrlDecode(encoding === 'aesgcm' ? aesgcmSubscriptionPrivateKey : aes128gcmSubscriptionPrivateKey));
+				model.subscriptions = {
+					aesgcm: {
+						applicationServerKey,
+						publicKey: 'BIanZceKFE49T82cl2HUWK_vLQPVQPq5eZHP7y0zLWP1qDjlWe7Vx7XS8qetnPOJTZyZJrV26FST20e6CvThcmc',
+						subscriptionDh: ecdh,
+						auth: 'kZTCk82psaREuK7YOM5mHA',
+					},
+					aes128gcm: {
+						applicationServerKey,
+						publicKey: aes128gcmSubscriptionPublicKey,
+						subscriptionDh: ecdh,
+						auth: 'PST6Fru-E4BwgZ-WfuoLEA',
+					},
+				};
+				const salt = '8PYlFauOPQaDkW9QKINEjg';
+				const testLocalPublickey = 'BP_jupWySFrZB4vAqGmEJ9ZLlfLpg1fnP0SgBLmkx_e4sWe3b719Q_oh8FXe2nnTER0rmCJvUd6xmVNzUXMoLJQ';
+				const vapidHeaders = webPush.getVapidHeaders(
+					'http://localhost:8990',
+					'https://test.com',
+					applicationServerKey,
+					applicationServerPrivateKey,
+					testClientHash,
+				);
+
+				// Create WebPush Authorization header
+				const pushHeaders = {
+					Authorization: sendAuthorization ? vapidHeaders.Authorization : '',
+					TTL: 60,
+					'Content-Type': 'application/octet-stream',
+				};
+
+				if (typeof urgency !== 'undefined') {
+					pushHeaders.Urgency = urgency;
+				}
 
 				if (encoding !== 'aes128gcm') {
 					pushHeaders.Encryption = 'salt=' + salt;
@@ -453,9 +1620,14 @@ describe('Push Server tests', () => {
 							if (expectedStatus === 201) {
 								assert.isUndefined(response.body.error);
 								const notificationData = model.getNotifications({clientHash: testClientHash});
-								assert.hasAllKeys(notificationData, ['messages']);
+								assert.hasAllKeys(notificationData, ['messages', 'superseded']);
 								notificationData.messages.length.should.equal(1);
 								notificationData.messages[0].should.equal('hello');
+								const detailedData = model.getNotifications({clientHash: testClientHash, detailed: true});
+								detailedData.messages[0].encoding.should.equal(encoding);
+								detailedData.messages[0].ttl.should.equal(60);
+								detailedData.messages[0].vapid.sub.should.equal('https://test.com');
+								detailedData.messages[0].ciphertextLength.should.equal(requestBody.length);
 							} else if (expectedStatus === 410) {
 								const responseBody = await response.json();
 								assert.hasAllKeys(responseBody, ['reason']);